@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { findAcronyms } = require("../src/acronyms");
+
+const text =
+  "The European Central Bank (ECB) raised interest rates on Thursday. Analysts expect the ECB to pause in March. Artificial Intelligence (AI) tools helped forecast the decision. AI adoption at the ECB is growing.";
+
+/**
+ * Finds the European Central Bank keyword
+ * @param {string|false} [acronyms] - Acronym display option
+ * @returns {Object} Keyword result
+ */
+function ecb(acronyms) {
+  return new KeywordExtractor(text)
+    .extractKeywords({ acronyms })
+    .find(({ keyword }) => /ECB|European/.test(keyword));
+}
+
+test("findAcronyms matches long forms before and after the acronym", () => {
+  assert.deepStrictEqual(
+    findAcronyms([
+      "Artificial Intelligence (AI) helps.",
+      "NATO (North Atlantic Treaty Organization) met.",
+      "The Bank (BX) fell.",
+      "Voice over IP (VoIP) calls.",
+    ]),
+    [
+      { acronym: "AI", expansion: "Artificial Intelligence" },
+      { acronym: "NATO", expansion: "North Atlantic Treaty Organization" },
+      { acronym: "VoIP", expansion: "Voice over IP" },
+    ],
+  );
+  assert.deepStrictEqual(new KeywordExtractor(text).findAcronyms(), [
+    { acronym: "ECB", expansion: "European Central Bank" },
+    { acronym: "AI", expansion: "Artificial Intelligence" },
+  ]);
+});
+
+test("a linked acronym counts the mentions of both forms", () => {
+  const linked = ecb();
+  assert.strictEqual(linked.keyword, "European Central Bank (ECB)");
+  assert.strictEqual(linked.score, 2.4904);
+  assert.strictEqual(linked.occurrences.length, 3);
+  assert.strictEqual(linked.acronym, "ECB");
+  assert.strictEqual(linked.expansion, "European Central Bank");
+  assert.deepStrictEqual(linked.absorbed, ["European", "Central", "Bank"]);
+});
+
+test("the acronyms option chooses how a linked keyword is shown", () => {
+  assert.strictEqual(ecb("both").keyword, "European Central Bank (ECB)");
+  assert.strictEqual(ecb("acronym").keyword, "ECB");
+  assert.strictEqual(ecb("expansion").keyword, "European Central Bank");
+  assert.strictEqual(ecb("acronym").score, ecb("expansion").score);
+
+  const separate = new KeywordExtractor(text)
+    .extractKeywords({ acronyms: false })
+    .slice(0, 2)
+    .map(({ keyword, acronym }) => [keyword, acronym]);
+  assert.deepStrictEqual(separate, [
+    ["ECB", undefined],
+    ["European Central Bank", undefined],
+  ]);
+
+  assert.throws(
+    () => new KeywordExtractor(text).extractKeywords({ acronyms: "short" }),
+    /Unknown acronym display: short/,
+  );
+});
+
+test("words absorbed into an acronym's expansion stay absorbed", () => {
+  const extractor = new KeywordExtractor(
+    "The World Health Organization (WHO) issued guidance. The WHO said Health systems must adapt. World Health Organization experts met in Geneva.",
+  );
+  const results = extractor.extractKeywords({ acronyms: "expansion" });
+  const who = results.find((result) => result.acronym === "WHO");
+
+  assert.strictEqual(who.keyword, "World Health Organization");
+  assert.ok(who.absorbed.includes("Health"));
+  assert.ok(!results.some((result) => result.keyword === "Health"));
+});
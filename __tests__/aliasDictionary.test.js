@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const AliasDictionary = require("../src/aliasDictionary");
+
+test("aliases resolve ignoring case, possessives and punctuation", () => {
+  const aliases = new AliasDictionary({ Apple: ["Apple Inc.", "AAPL"] });
+  aliases.add("Apple", [], ["Apple Corp(?:oration)?"]);
+
+  assert.strictEqual(aliases.resolve("apple inc"), "Apple");
+  assert.strictEqual(aliases.resolve("AAPL's"), "Apple");
+  assert.strictEqual(aliases.resolve("(Apple)"), "Apple");
+  assert.strictEqual(aliases.resolve("Apple Corporation"), "Apple");
+  assert.strictEqual(aliases.resolve("Apple Corporation Ltd"), null);
+  assert.deepStrictEqual(aliases.getForms("Apple"), [
+    "Apple",
+    "Apple Inc.",
+    "AAPL",
+  ]);
+  assert.deepStrictEqual(aliases.getForms("Google"), []);
+});
+
+test("toJSON round-trips aliases and patterns", () => {
+  const aliases = new AliasDictionary({ Apple: ["AAPL"] }).add(
+    "Apple",
+    [],
+    [/apple corp/i],
+  );
+  const copy = new AliasDictionary(JSON.parse(JSON.stringify(aliases)));
+
+  assert.deepStrictEqual(copy.toJSON(), aliases.toJSON());
+  assert.strictEqual(copy.resolve("APPLE CORP"), "Apple");
+  assert.throws(() => aliases.add(""), /Canonical name must be/);
+  assert.throws(() => aliases.add("Apple", [], [42]), /Alias patterns must/);
+});
+
+test("aliases merge keywords under the canonical name", () => {
+  const extractor = new KeywordExtractor(
+    "Apple Inc. reported record revenue on Thursday. Apple's services business grew, and shares of AAPL rose.",
+    "",
+    { aliases: { Apple: ["Apple Inc.", "AAPL"] } },
+  );
+  const [first] = extractor.extractKeywords({ occurrences: false, limit: 1 });
+  assert.deepStrictEqual(first, {
+    keyword: "Apple",
+    score: 2.5,
+    surfaceForms: ["Apple Inc.", "Apple's", "AAPL"],
+  });
+});
+
+test("alias patterns match whole keywords", () => {
+  const aliases = new AliasDictionary().add(
+    "Apple",
+    [],
+    [/Apple Corp(?:oration)?/],
+  );
+  const extractor = new KeywordExtractor(
+    "Apple Corporation makes phones. Apple Corp sells them.",
+    "",
+    { aliases },
+  );
+  const [first] = extractor.extractKeywords({ occurrences: false });
+  assert.strictEqual(first.keyword, "Apple");
+  assert.deepStrictEqual(first.surfaceForms, [
+    "Apple Corporation",
+    "Apple Corp",
+  ]);
+});
+
+test("a canonical keyword is not absorbed by a longer keyword", () => {
+  const text =
+    "Apple reported results. Apple Inc. beat estimates and AAPL rose. Apple's CEO spoke.";
+  const aliases = { Apple: ["Apple Inc.", "AAPL"] };
+
+  for (const policy of ["longest", "both"]) {
+    const results = new KeywordExtractor(text, "", {
+      aliases,
+    }).extractKeywords({ subsets: { policy } });
+    const apple = results.find(({ keyword }) => keyword === "Apple");
+    const ceo = results.find(({ keyword }) => keyword === "Apple CEO");
+
+    assert.strictEqual(apple.occurrences.length, 4);
+    assert.deepStrictEqual(apple.surfaceForms, [
+      "Apple",
+      "Apple Inc.",
+      "AAPL",
+      "Apple's",
+    ]);
+    assert.strictEqual(ceo.absorbed, undefined);
+  }
+
+  const [shortest] = new KeywordExtractor(text, "", {
+    aliases,
+  }).extractKeywords({ subsets: { policy: "shortest" } });
+  assert.strictEqual(shortest.keyword, "Apple");
+  assert.deepStrictEqual(shortest.absorbed, ["Apple CEO"]);
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { extractBatch } = require("../src/batch");
+
+const documents = [
+  "Apple released the iPhone in California. Apple shares rose.",
+  {
+    id: "b",
+    content: "Google makes Android. Google is in Mountain View.",
+    title: "Google news",
+  },
+  { id: "bad", content: 42 },
+  "Tesla builds cars in Texas. Tesla is led by Elon Musk.",
+];
+
+test("worker results keep the input order and match inline extraction", async () => {
+  const options = { limit: 2, occurrences: false };
+  const workers = await extractBatch(documents, { ...options, concurrency: 2 });
+  const inline = await extractBatch(documents, { ...options, concurrency: 0 });
+
+  assert.deepStrictEqual(workers, inline);
+  assert.deepStrictEqual(
+    workers.results.map((result) => result.id),
+    [0, "b", "bad", 3],
+  );
+  assert.strictEqual(workers.results[2].keywords, null);
+  assert.deepStrictEqual(
+    workers.errors.map(({ index, id }) => [index, id]),
+    [[2, "bad"]],
+  );
+});
+
+test("onProgress reports each settled document", async () => {
+  for (const concurrency of [0, 2]) {
+    const progress = [];
+    await extractBatch(documents, {
+      concurrency,
+      onProgress: (event) => progress.push(event),
+    });
+
+    assert.deepStrictEqual(
+      progress.map(({ completed, total }) => [completed, total]),
+      [
+        [1, 4],
+        [2, 4],
+        [3, 4],
+        [4, 4],
+      ],
+    );
+    assert.deepStrictEqual(
+      progress.map(({ index }) => index).sort(),
+      [0, 1, 2, 3],
+    );
+    assert.strictEqual(progress.find(({ index }) => index === 2).failed, 1);
+    assert.strictEqual(progress[progress.length - 1].failed, 1);
+  }
+
+  const inline = [];
+  await extractBatch(documents, {
+    concurrency: 0,
+    onProgress: ({ index, failed }) => inline.push([index, failed]),
+  });
+  assert.deepStrictEqual(inline, [
+    [0, 0],
+    [1, 0],
+    [2, 1],
+    [3, 1],
+  ]);
+});
+
+test("invalid arguments are rejected", async () => {
+  await assert.rejects(extractBatch("text"), /Documents must be an array/);
+  await assert.rejects(
+    extractBatch([], { concurrency: -1 }),
+    /concurrency must be a non-negative integer/,
+  );
+  await assert.rejects(
+    extractBatch(["text"], { concurrency: 1, stemmer: (word) => word }),
+    /Option stemmer is a function/,
+  );
+  assert.deepStrictEqual(await extractBatch([], { concurrency: 2 }), {
+    results: [],
+    errors: [],
+  });
+});
@@ -0,0 +1,219 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable, Writable } = require("stream");
+const { version } = require("../package.json");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { EXIT_CODES, parseArgs, run } = require("../src/cli");
+
+/**
+ * Collects what is written to a stream
+ * @returns {Writable & {text: string}} Stream whose text property holds the output
+ */
+function capture() {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      stream.text += chunk;
+      callback();
+    },
+  });
+  stream.text = "";
+  return stream;
+}
+
+/**
+ * Runs the CLI with captured output
+ * @param {string[]} argv - Arguments
+ * @param {NodeJS.ReadableStream} [stdin] - Standard input, a terminal by default
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ */
+async function runCli(argv, stdin = { isTTY: true }) {
+  const stdout = capture();
+  const stderr = capture();
+  const code = await run(argv, { stdout, stderr, stdin });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "keywords-cli-"));
+const good = path.join(directory, "good.txt");
+const missing = path.join(directory, "missing.txt");
+fs.writeFileSync(good, "Tesla builds cars in Texas. Tesla is growing.");
+fs.mkdirSync(path.join(directory, "news"));
+fs.writeFileSync(
+  path.join(directory, "news", "phones.txt"),
+  "Google makes phones in Taiwan, says Google.",
+);
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test("parseArgs reads flags, inline values and lists", () => {
+  assert.deepStrictEqual(
+    parseArgs([
+      "-n",
+      "3",
+      "--extra-stop-words=a, b",
+      "--keep-words",
+      "c",
+      "notes.txt",
+      "--",
+      "-draft.txt",
+    ]),
+    {
+      inputs: ["notes.txt", "-draft.txt"],
+      title: "",
+      top: 3,
+      method: "all",
+      format: "text",
+      extraStopWords: ["a", "b"],
+      keepWords: ["c"],
+      output: "table",
+      help: false,
+      version: false,
+    },
+  );
+  assert.throws(() => parseArgs(["-n", "0"]), /--top must be a positive/);
+  assert.throws(() => parseArgs(["-m", "rake"]), /Unknown method: rake/);
+  assert.throws(() => parseArgs(["-o", "xml"]), /Unknown output format/);
+  assert.throws(() => parseArgs(["--title"]), /Missing value for --title/);
+  assert.throws(() => parseArgs(["--verbose"]), /Unknown option/);
+});
+
+test("globs expand to the matching files in path order", async () => {
+  const { code, stdout } = await runCli([
+    "-o",
+    "ndjson",
+    "-n",
+    "1",
+    path.join(directory, "**", "*.txt"),
+  ]);
+  assert.strictEqual(code, EXIT_CODES.OK);
+  assert.deepStrictEqual(
+    stdout
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line)),
+    [
+      { file: good, rank: 1, keyword: "Tesla", score: 2.5 },
+      {
+        file: path.join(directory, "news", "phones.txt"),
+        rank: 1,
+        keyword: "Google",
+        score: 2.5,
+      },
+    ],
+  );
+
+  const none = await runCli([path.join(directory, "*.md")]);
+  assert.strictEqual(none.code, EXIT_CODES.UNREADABLE);
+  assert.match(none.stderr, /no files match/);
+});
+
+test("stdin is read when no file is given", async () => {
+  const { code, stdout } = await runCli(
+    ["-o", "ndjson", "-m", "title", "-t", "Tesla in Texas"],
+    Readable.from(["Apple sells iPhones. Apple is big."]),
+  );
+  assert.strictEqual(code, EXIT_CODES.OK);
+  assert.strictEqual(
+    stdout,
+    '{"file":"<stdin>","rank":1,"keyword":"Tesla"}\n' +
+      '{"file":"<stdin>","rank":2,"keyword":"Texas"}\n',
+  );
+
+  const terminal = await runCli([]);
+  assert.strictEqual(terminal.code, EXIT_CODES.USAGE);
+  assert.match(terminal.stderr, /^Usage:/);
+});
+
+test("table and CSV output list one keyword per row", async () => {
+  const table = await runCli(["-m", "proper-nouns", good]);
+  assert.strictEqual(
+    table.stdout,
+    [
+      `file${" ".repeat(good.length - 4)}  rank  keyword`,
+      `${good}  1     Tesla`,
+      `${good}  2     Texas`,
+      "",
+    ].join("\n"),
+  );
+
+  const csv = await runCli(["-o", "csv", "-m", "frequency", "-n", "2", good]);
+  assert.strictEqual(
+    csv.stdout,
+    `file,rank,keyword,frequency\n${good},1,Tesla,2\n${good},2,builds,1\n`,
+  );
+});
+
+test("a stop word file replaces the language's list", async () => {
+  const stopWords = path.join(directory, "stop-words");
+  fs.writeFileSync(stopWords, "# Company names\ntesla\n");
+  const { code, stdout } = await runCli([
+    "-o",
+    "json",
+    "-m",
+    "frequency",
+    "--stop-words",
+    stopWords,
+    good,
+  ]);
+  assert.strictEqual(code, EXIT_CODES.OK);
+  assert.deepStrictEqual(
+    JSON.parse(stdout)[0].keywords.map(({ keyword }) => keyword),
+    ["builds", "cars", "in", "Texas", "is", "growing"],
+  );
+});
+
+test("help and version print to stdout", async () => {
+  const help = await runCli(["--help"]);
+  assert.strictEqual(help.code, EXIT_CODES.OK);
+  assert.match(help.stdout, /^Usage: text-keyword-extractor/);
+
+  const printed = await runCli(["-v"]);
+  assert.strictEqual(printed.stdout, `${version}\n`);
+});
+
+test("an unreadable file does not discard the others", async () => {
+  const { code, stdout, stderr } = await runCli(["-o", "json", good, missing]);
+  assert.strictEqual(code, EXIT_CODES.UNREADABLE);
+  assert.match(stderr, /cannot read .*missing\.txt/);
+  assert.strictEqual(JSON.parse(stdout)[0].file, good);
+});
+
+test("nothing is printed when no file can be read", async () => {
+  const { code, stdout } = await runCli(["-o", "csv", missing]);
+  assert.strictEqual(code, EXIT_CODES.UNREADABLE);
+  assert.strictEqual(stdout, "");
+});
+
+test("unknown languages and formats are usage errors", async () => {
+  const language = await runCli(["-l", "xx", good]);
+  assert.strictEqual(language.code, EXIT_CODES.USAGE);
+  assert.match(language.stderr, /xx/);
+
+  const format = await runCli(["-f", "pdf", good]);
+  assert.strictEqual(format.code, EXIT_CODES.USAGE);
+  assert.match(format.stderr, /pdf/);
+});
+
+test("a failed extraction does not stop the other files", async (t) => {
+  const failing = path.join(directory, "failing.txt");
+  fs.writeFileSync(failing, "Broken document.");
+  const extractKeywords = KeywordExtractor.prototype.extractKeywords;
+  t.mock.method(
+    KeywordExtractor.prototype,
+    "extractKeywords",
+    function (options) {
+      if (this.content.startsWith("Broken")) throw new Error("boom");
+      return extractKeywords.call(this, options);
+    },
+  );
+
+  const { code, stdout, stderr } = await runCli(["-o", "json", failing, good]);
+  assert.strictEqual(code, EXIT_CODES.ERROR);
+  assert.match(stderr, /failing\.txt: boom/);
+  assert.deepStrictEqual(
+    JSON.parse(stdout).map((document) => document.file),
+    [good],
+  );
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { findCollocations } = require("../src/algorithms/collocations");
+
+const extractor = new KeywordExtractor("");
+const isStopWord = (word) => extractor.isStopWord(word);
+const content =
+  "Central banks raised interest rates again. Higher interest rates hurt the supply chain. The supply chain is fragile, and interest rates keep rising.";
+const tokens = content.split(" ");
+
+test("findCollocations finds repeated word pairs", () => {
+  assert.deepStrictEqual(findCollocations(tokens, isStopWord), [
+    { keyword: "supply chain", score: 13.5902 },
+  ]);
+  assert.deepStrictEqual(
+    findCollocations(tokens, isStopWord, { measure: "pmi" }),
+    [{ keyword: "supply chain", score: 3.5236 }],
+  );
+  assert.deepStrictEqual(
+    findCollocations(tokens, isStopWord, { minFrequency: 3 }),
+    [],
+  );
+  assert.throws(
+    () => findCollocations(tokens, isStopWord, { measure: "dice" }),
+    /Unknown collocation measure: dice/,
+  );
+});
+
+test("trigrams may contain stop words inside", () => {
+  const speech =
+    "Freedom of speech protects protesters. Courts defend freedom of speech. Critics question freedom of speech online.".split(
+      " ",
+    );
+  assert.deepStrictEqual(findCollocations(speech, isStopWord), [
+    { keyword: "Freedom of speech", score: 15.4425 },
+  ]);
+  assert.deepStrictEqual(
+    findCollocations(speech, isStopWord, { maxWords: 2 }),
+    [],
+  );
+});
+
+test("extractKeywords ranks collocations as phrases", () => {
+  const results = new KeywordExtractor(content).extractKeywords({
+    limit: 2,
+    occurrences: false,
+  });
+  assert.deepStrictEqual(results[0], {
+    keyword: "supply chain",
+    score: 1.9167,
+    absorbed: ["supply", "chain"],
+  });
+
+  const words = new KeywordExtractor(content)
+    .extractKeywords({ collocations: false, occurrences: false })
+    .map((result) => result.keyword);
+  assert.ok(!words.includes("supply chain"));
+  assert.ok(words.includes("supply"));
+});
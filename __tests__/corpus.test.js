@@ -0,0 +1,225 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const Corpus = require("../src/corpus");
+const KeywordExtractor = require("../src/keywordExtractor");
+
+/**
+ * Builds a corpus with three documents
+ * @param {Object} [options] - Corpus options
+ * @returns {Corpus} Corpus with documents "a", "b" and 0
+ */
+function createCorpus(options) {
+  const corpus = new Corpus(options);
+  corpus.addDocument("Apple released the iPhone in California.", "a");
+  corpus.addDocument("Google makes Android phones.", "b");
+  corpus.addDocument("Apple and Google make phones.");
+  return corpus;
+}
+
+test("terms shared by more documents weigh less", () => {
+  const corpus = createCorpus();
+  assert.strictEqual(corpus.size, 3);
+  assert.ok(corpus.idf("apple") < corpus.idf("iphone"));
+  assert.deepStrictEqual(corpus.extract("a", { weighting: "bm25" }), [
+    { keyword: "released", score: 0.9066 },
+    { keyword: "iphone", score: 0.9066 },
+    { keyword: "california", score: 0.9066 },
+    { keyword: "apple", score: 0.4345 },
+  ]);
+  assert.deepStrictEqual(corpus.extract("a", { limit: 1 }), [
+    { keyword: "released", score: 0.4233 },
+  ]);
+});
+
+test("extract takes either a document id or text", () => {
+  const corpus = createCorpus();
+  assert.deepStrictEqual(
+    corpus.extract("b").map((result) => result.keyword),
+    ["android", "google", "phones"],
+  );
+  assert.deepStrictEqual(
+    corpus.extract("Google phones").map((result) => result.keyword),
+    ["google", "phones"],
+  );
+  assert.throws(() => corpus.extract(7), /Unknown document: 7/);
+  assert.throws(
+    () => corpus.extract("a", { weighting: "idf" }),
+    /Unknown weighting: idf/,
+  );
+});
+
+test("documents can be removed but not added twice", () => {
+  const corpus = createCorpus();
+  assert.throws(
+    () => corpus.addDocument("Text", "a"),
+    /Document already exists: a/,
+  );
+  assert.strictEqual(corpus.removeDocument("b"), true);
+  assert.strictEqual(corpus.removeDocument("b"), false);
+  assert.strictEqual(corpus.size, 2);
+  assert.strictEqual(corpus.documentFrequency.get("android"), undefined);
+  assert.strictEqual(corpus.documentFrequency.get("google"), 1);
+});
+
+test("extractKeywords ranks by TF-IDF or BM25 against the corpus", () => {
+  const extractor = new KeywordExtractor("Apple iPhone", "", {
+    corpus: createCorpus(),
+  });
+  assert.deepStrictEqual(
+    extractor.extractKeywords({ algorithm: "bm25", occurrences: false }),
+    [
+      { keyword: "iphone", score: 1.1727 },
+      { keyword: "apple", score: 0.562 },
+    ],
+  );
+  assert.throws(
+    () => new KeywordExtractor("Apple phones").extractTfIdf(),
+    /A corpus is required for TF-IDF ranking/,
+  );
+});
+
+test("extractTfIdf scores the extractor's text even when it is a document id", () => {
+  const extractor = new KeywordExtractor("b", "", { corpus: createCorpus() });
+  assert.deepStrictEqual(extractor.extractTfIdf(), []);
+});
+
+test("extractTfIdf uses the extractor's language", () => {
+  const corpus = new Corpus({ language: "de" });
+  corpus.addDocument("Der Hund und die Katze spielen im Garten.");
+  assert.deepStrictEqual(corpus.terms("Der Hund und die Katze"), [
+    "hund",
+    "katze",
+  ]);
+
+  const extractor = new KeywordExtractor("Der Hund und die Katze.", "", {
+    language: "de",
+    corpus,
+  });
+  assert.deepStrictEqual(
+    extractor.extractTfIdf().map((result) => result.keyword),
+    ["hund", "katze"],
+  );
+});
+
+test("a corpus survives a JSON round trip", () => {
+  const corpus = createCorpus();
+  const data = JSON.parse(JSON.stringify(corpus));
+  assert.strictEqual(data.version, Corpus.FORMAT_VERSION);
+
+  const loaded = Corpus.fromJSON(JSON.stringify(data));
+  assert.deepStrictEqual(loaded.extract("a"), corpus.extract("a"));
+  assert.deepStrictEqual(loaded.extract("Apple"), corpus.extract("Apple"));
+  assert.strictEqual(loaded.removeDocument("b"), true);
+});
+
+test("a corpus survives a compressed round trip", () => {
+  const corpus = createCorpus();
+  const loaded = Corpus.fromBuffer(corpus.toBuffer());
+  assert.deepStrictEqual(loaded.extract("b"), corpus.extract("b"));
+
+  const compact = Corpus.fromBuffer(
+    corpus.toBuffer({ includeDocuments: false }),
+  );
+  assert.strictEqual(compact.size, 3);
+  assert.deepStrictEqual(compact.extract("Apple"), corpus.extract("Apple"));
+  assert.throws(() => compact.extract(0), /Unknown document: 0/);
+});
+
+test("the options that change terms are saved", () => {
+  const corpus = new Corpus({
+    language: "ja",
+    locale: "ja",
+    normalization: "NFKC",
+    format: "markdown",
+    segmenter: "dictionary",
+    dictionary: new Set(["東京タワー"]),
+    stemmer: "en",
+  });
+  corpus.addDocument("# 東京\n\n東京タワーは有名です。");
+
+  const loaded = Corpus.fromJSON(JSON.stringify(corpus));
+  assert.deepStrictEqual(loaded.options, {
+    language: "ja",
+    locale: "ja",
+    normalization: "NFKC",
+    format: "markdown",
+    segmenter: "dictionary",
+    dictionary: ["東京タワー"],
+  });
+  assert.deepStrictEqual(
+    loaded.terms("東京タワーに行きました。"),
+    corpus.terms("東京タワーに行きました。"),
+  );
+  assert.strictEqual(
+    Corpus.fromJSON(new Corpus({ normalization: false }).toJSON()).options
+      .normalization,
+    false,
+  );
+});
+
+test("a corpus with a custom segmenter cannot be saved", () => {
+  const corpus = new Corpus({ segmenter: (text) => [text] });
+  assert.throws(
+    () => corpus.toJSON(),
+    /Cannot serialize a corpus with a custom segmenter/,
+  );
+});
+
+test("version 1 data without casing loads", () => {
+  const data = createCorpus().toJSON();
+  delete data.casing;
+  data.documents = data.documents.map(({ casing, ...document }) => document);
+
+  const loaded = Corpus.fromJSON({ ...data, version: 1 });
+  assert.deepStrictEqual(loaded.extract("a"), createCorpus().extract("a"));
+});
+
+test("version 1 data with casing counts is rejected", () => {
+  assert.throws(
+    () => Corpus.fromJSON({ ...createCorpus().toJSON(), version: 1 }),
+    /casing counts require format version 2, got 1/,
+  );
+});
+
+test("newer format versions are rejected", () => {
+  assert.throws(
+    () => Corpus.fromJSON({ ...createCorpus().toJSON(), version: 3 }),
+    /Unsupported corpus format version 3 \(supports up to 2\)/,
+  );
+});
+
+test("corrupt data is rejected", () => {
+  const data = createCorpus().toJSON();
+  const corrupt = [
+    ["{", /Invalid corpus data: /],
+    [{ ...data, format: "other" }, /not a serialized corpus/],
+    [{ ...data, version: 0 }, /bad format version 0/],
+    [{ ...data, options: null }, /missing options/],
+    [{ ...data, options: { language: "xx" } }, /bad options: Unsupported/],
+    [{ ...data, documentCount: -1 }, /must be non-negative integers/],
+    [{ ...data, terms: [1] }, /terms must be an array of strings/],
+    [
+      { ...data, documentFrequency: data.documentFrequency.slice(1) },
+      /document frequencies do not match terms/,
+    ],
+    [
+      { ...data, casing: { ...data.casing, lowercase: [] } },
+      /casing counts do not match words/,
+    ],
+    [
+      { ...data, documents: [{ ...data.documents[0], terms: [999] }] },
+      /malformed document entry/,
+    ],
+    [
+      { ...data, documents: [data.documents[0], data.documents[0]] },
+      /duplicate document id a/,
+    ],
+  ];
+  corrupt.forEach(([value, message]) => {
+    assert.throws(() => Corpus.fromJSON(value), message);
+  });
+  assert.throws(
+    () => Corpus.fromBuffer(Buffer.from("not gzip")),
+    /Invalid corpus data: /,
+  );
+});
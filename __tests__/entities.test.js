@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const {
+  registerEntities,
+  createGazetteer,
+  splitAtTitles,
+  classifyEntity,
+} = require("../src/entities");
+
+test("classifyEntity combines cues from the name and its context", () => {
+  assert.deepStrictEqual(classifyEntity("Zorblax Corp", []), {
+    text: "Zorblax Corp",
+    type: "ORGANIZATION",
+    confidence: 0.7,
+  });
+  assert.strictEqual(classifyEntity("Dr. Zorblax", []).type, "PERSON");
+  assert.strictEqual(
+    classifyEntity("Zorblax", [{ before: "shares of ", after: "" }]).type,
+    "ORGANIZATION",
+  );
+  assert.strictEqual(
+    classifyEntity("Zorblax", [{ before: "a plant in ", after: "" }]).type,
+    "LOCATION",
+  );
+  assert.deepStrictEqual(classifyEntity("Zorblax", []), {
+    text: "Zorblax",
+    type: "OTHER",
+    confidence: 0.5,
+  });
+});
+
+test("custom gazetteers extend the shared one without changing it", () => {
+  const gazetteer = createGazetteer({ PRODUCT: ["Zorblax"] });
+  assert.strictEqual(classifyEntity("Zorblax", [], gazetteer).type, "PRODUCT");
+  assert.strictEqual(classifyEntity("Qwertz", []).type, "OTHER");
+
+  registerEntities("LOCATION", ["Qwertz"]);
+  assert.strictEqual(classifyEntity("Qwertz", []).type, "LOCATION");
+  assert.throws(
+    () => registerEntities("ANIMAL", ["cat"]),
+    /Unknown entity type: ANIMAL/,
+  );
+});
+
+test("splitAtTitles splits names joined by a job title", () => {
+  assert.deepStrictEqual(splitAtTitles("Kaggle CEO Anthony Goldbloom"), [
+    "Kaggle",
+    "Anthony Goldbloom",
+  ]);
+  assert.deepStrictEqual(splitAtTitles("CEO Tim"), ["CEO Tim"]);
+});
+
+test("findEntities splits names at job titles and drops fragments", () => {
+  const extractor = new KeywordExtractor(
+    "Kaggle CEO Anthony Goldbloom spoke in San Francisco. Samsung launched the Samsung Galaxy S24.",
+  );
+  assert.deepStrictEqual(extractor.findEntities(), [
+    { text: "Kaggle", type: "ORGANIZATION", confidence: 0.9 },
+    { text: "Anthony Goldbloom", type: "PERSON", confidence: 0.6 },
+    { text: "San Francisco", type: "LOCATION", confidence: 0.99 },
+    { text: "Samsung", type: "ORGANIZATION", confidence: 0.9 },
+    { text: "Samsung Galaxy S24", type: "PRODUCT", confidence: 0.99 },
+  ]);
+});
+
+test("the gazetteer option adds names for one extractor", () => {
+  const extractor = new KeywordExtractor(
+    "Yesterday Zyx spoke. Zyx said hello.",
+    "",
+    { gazetteer: { PERSON: ["Zyx"] } },
+  );
+  assert.deepStrictEqual(extractor.findEntities(), [
+    { text: "Zyx", type: "PERSON", confidence: 0.99 },
+  ]);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { decodeEntities, parseHtml } = require("../src/formats/html");
+
+const page = `<!DOCTYPE html><html><head><title>Tesla unveils Cybercab robotaxi</title>
+<meta name="description" content="The electric carmaker showed its &quot;robotaxi&quot;">
+<style>.x{color:red}</style><script>var Tesla = "<p>hidden</p>";</script></head>
+<body><!-- a comment --><h1>Tesla Cybercab</h1>
+<p>Elon Musk presented the <b>Cybercab</b> on Thursday &amp; said production starts in 2026.</p>
+<img src="car.jpg" alt="Cybercab prototype">
+<p title="a > b">Robotaxi rides cost &euro;1 &#8212; less than a bus.</p></body></html>`;
+
+test("decodeEntities decodes named and numeric references", () => {
+  assert.strictEqual(decodeEntities("&lt;&#x41;&#65;&bogus;"), "<AA&bogus;");
+  assert.strictEqual(decodeEntities("&#0;&#xD800;"), "��");
+});
+
+test("parseHtml strips markup and keeps structural ranges", () => {
+  const { text, title, sections } = parseHtml(page);
+
+  assert.strictEqual(
+    text,
+    "Tesla Cybercab\n\nElon Musk presented the Cybercab on Thursday & said production starts in 2026.\n\nCybercab prototype\n\nRobotaxi rides cost €1 — less than a bus.",
+  );
+  assert.strictEqual(
+    title,
+    'Tesla unveils Cybercab robotaxi\nThe electric carmaker showed its "robotaxi"',
+  );
+  assert.deepStrictEqual(
+    sections.map(({ start, end, element }) => [
+      element,
+      text.slice(start, end),
+    ]),
+    [
+      ["h1", "Tesla Cybercab"],
+      ["b", "Cybercab"],
+      ["alt", "Cybercab prototype"],
+    ],
+  );
+});
+
+test("parseHtml keeps empty attribute values empty", () => {
+  assert.deepStrictEqual(parseHtml("<img alt=\"\">x<img alt=''>y"), {
+    text: "xy",
+    title: "",
+    sections: [],
+  });
+});
+
+test("parseHtml scans malformed markup in linear time", () => {
+  for (const unit of ['<a "', "<a '", "<a ", "<!", '<a b="']) {
+    const started = Date.now();
+    parseHtml(unit.repeat(20000));
+    assert.ok(Date.now() - started < 500, `${JSON.stringify(unit)} is slow`);
+  }
+});
+
+test("extractKeywords weights keywords by HTML structure", () => {
+  const extractor = new KeywordExtractor(page, "", { format: "html" });
+  assert.strictEqual(extractor.title, parseHtml(page).title);
+  assert.strictEqual(extractor.content, parseHtml(page).text);
+
+  const [top] = extractor.extractKeywords();
+  assert.strictEqual(top.keyword, "Tesla Cybercab");
+  assert.strictEqual(top.score, 3.5);
+  assert.deepStrictEqual(top.occurrences, [
+    { start: 0, end: 14, sentenceIndex: 0 },
+  ]);
+
+  const [flat] = new KeywordExtractor(page, "", {
+    format: "html",
+    structureWeights: { h1: 0 },
+  }).extractKeywords();
+  assert.strictEqual(flat.keyword, "Tesla Cybercab");
+  assert.strictEqual(flat.score, 2.5);
+});
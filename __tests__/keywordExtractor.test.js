@@ -0,0 +1,223 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { utilities } = require("../src");
+const { getStopWords } = require("../src/languages");
+
+const text = "The app is great. The app works offline and the app is free.";
+
+test("extraStopWords filters more words, ignoring case", () => {
+  const extractor = new KeywordExtractor(text, "", {
+    extraStopWords: ["App"],
+  });
+  assert.deepStrictEqual(extractor.removeStopWords(["The", "app", "offline"]), [
+    "offline",
+  ]);
+  assert.ok(!getStopWords("en").has("app"));
+});
+
+test("keepWords keeps words of the base list", () => {
+  const extractor = new KeywordExtractor(text, "", { keepWords: ["the"] });
+  assert.deepStrictEqual(extractor.removeStopWords(["The", "app", "is"]), [
+    "The",
+    "app",
+  ]);
+  assert.ok(getStopWords("en").has("the"));
+});
+
+test("stopWords replaces the base list", () => {
+  const extractor = new KeywordExtractor(text, "", { stopWords: ["app"] });
+  assert.deepStrictEqual(extractor.removeStopWords(["The", "app", "is"]), [
+    "The",
+    "is",
+  ]);
+});
+
+test("utilities accept the constructor options", () => {
+  assert.deepStrictEqual(
+    utilities.removeStopWords(["The", "newsletter"], {
+      extraStopWords: ["newsletter"],
+    }),
+    [],
+  );
+  assert.deepStrictEqual(
+    utilities.findHighFrequencyKeywords(text, 2, { extraStopWords: ["app"] }),
+    [
+      { word: "offline", frequency: 1 },
+      { word: "free", frequency: 1 },
+    ],
+  );
+  assert.deepStrictEqual(
+    utilities.findProperNouns("We saw Berlin and Paris last week.", {
+      extraStopWords: ["berlin"],
+    }),
+    ["Paris"],
+  );
+});
+
+test("a null title and null options are treated as missing", () => {
+  const extractor = new KeywordExtractor("Tesla builds cars.", null, null);
+  assert.strictEqual(extractor.title, "");
+  assert.ok(Array.isArray(extractor.extractKeywords()));
+});
+
+test("proper nouns may contain letters outside ASCII", () => {
+  const extractor = new KeywordExtractor(
+    "Yesterday Zürich hosted Škoda and Ørsted. Visitors loved Zürich.",
+  );
+  assert.deepStrictEqual(extractor.findProperNouns(), [
+    "Zürich",
+    "Škoda",
+    "Ørsted",
+  ]);
+});
+
+test("content is normalized to NFC unless normalization is false", () => {
+  const decomposed = "Cafe\u0301 Zu\u0308rich";
+  assert.strictEqual(new KeywordExtractor(decomposed).content, "Café Zürich");
+  assert.strictEqual(
+    new KeywordExtractor(decomposed, "", { normalization: false }).content,
+    decomposed,
+  );
+});
+
+test("stop words are case folded with the locale", () => {
+  const extractor = new KeywordExtractor("", "", { language: "tr" });
+  assert.strictEqual(extractor.foldCase("I"), "ı");
+  assert.ok(extractor.isStopWord("İÇİN"));
+});
+
+const galaxy =
+  "Samsung unveiled the Galaxy S24 Ultra in San Jose. The Galaxy S24 Ultra costs more. Galaxy fans queued. The Galaxy brand is strong.";
+
+/**
+ * Lists each keyword with the keywords it absorbed
+ * @param {Object} [options] - extractKeywords options
+ * @returns {Array<Array>} [keyword, absorbed] pairs
+ */
+function absorbedPairs(options) {
+  return new KeywordExtractor(galaxy)
+    .extractKeywords({ ...options, occurrences: false })
+    .map(({ keyword, absorbed }) => [keyword, absorbed]);
+}
+
+test("keywords contained in longer ones are absorbed", () => {
+  assert.deepStrictEqual(absorbedPairs().slice(0, 3), [
+    ["Galaxy S24 Ultra", ["Galaxy S24", "S24 Ultra", "Galaxy", "Ultra", "S24"]],
+    ["Samsung", undefined],
+    ["San Jose", ["Jose", "San"]],
+  ]);
+});
+
+test("the subset policy decides which keyword is kept", () => {
+  assert.deepStrictEqual(
+    absorbedPairs({ subsets: { policy: "shortest" } }).slice(0, 2),
+    [
+      ["Galaxy", ["Galaxy S24 Ultra", "Galaxy S24"]],
+      ["Samsung", undefined],
+    ],
+  );
+  assert.deepStrictEqual(
+    absorbedPairs({
+      subsets: { policy: "both", minIndependentOccurrences: 2 },
+    }).slice(0, 2),
+    [
+      ["Galaxy S24 Ultra", ["Galaxy S24", "S24 Ultra", "Ultra", "S24"]],
+      ["Galaxy", undefined],
+    ],
+  );
+  assert.ok(
+    absorbedPairs({ subsets: false }).every(([, absorbed]) => !absorbed),
+  );
+});
+
+test("removeSubsetWords ignores case, punctuation and possessives", () => {
+  const extractor = new KeywordExtractor("");
+  assert.deepStrictEqual(
+    extractor.removeSubsetWords([
+      "Galaxy S24-Ultra’s",
+      "Galaxy S24 Ultra",
+      "galaxy",
+      "US economy",
+      "U.S.",
+    ]),
+    ["Galaxy S24-Ultra’s", "US economy"],
+  );
+  assert.deepStrictEqual(Array.from(extractor.absorbed), [
+    ["Galaxy S24-Ultra’s", ["Galaxy S24 Ultra", "galaxy"]],
+    ["US economy", ["U.S."]],
+  ]);
+});
+
+test("a Chinese keyword absorbs the words it contains", () => {
+  const extractor = new KeywordExtractor(
+    "人工智能技术正在改变世界。人工智能的发展很快。人工智能公司越来越多。",
+    "",
+    { language: "zh" },
+  );
+  const [first] = extractor.extractKeywords();
+  assert.strictEqual(first.keyword, "人工智能");
+  assert.deepStrictEqual(first.absorbed, ["人工", "智能"]);
+});
+
+test("analyze returns the same frozen result on repeated calls", () => {
+  const content =
+    "The Samsung Galaxy S24 Ultra has a great camera. Samsung improved the camera.";
+  const title = "Samsung Galaxy S24 Ultra review";
+  const extractor = new KeywordExtractor(content, title);
+  const first = extractor.analyze({ limit: 3 });
+  extractor.extractKeywords();
+  assert.deepStrictEqual(extractor.analyze({ limit: 3 }), first);
+  assert.ok(Object.isFrozen(first.keywords));
+  assert.ok(Object.isFrozen(first.keywords[0].occurrences[0]));
+
+  // Earlier calls on a fresh extractor do not change the result
+  const other = new KeywordExtractor(content, title);
+  other.findContextFromTitle();
+  other.findHighFrequencyKeywords(2);
+  assert.deepStrictEqual(other.analyze({ limit: 3 }), first);
+});
+
+test("analyze reports what each detection step found", () => {
+  const extractor = new KeywordExtractor(
+    "The Samsung Galaxy S24 Ultra has a great camera. Samsung improved the camera.",
+    "Samsung Galaxy S24 Ultra review",
+  );
+  const result = extractor.analyze({ limit: 2 });
+
+  assert.deepStrictEqual(
+    result.keywords.map(({ keyword, score }) => [keyword, score]),
+    [
+      ["Samsung Galaxy S24 Ultra", 2.974],
+      ["camera", 1.2338],
+    ],
+  );
+  assert.deepStrictEqual(result.properNouns, [
+    "Samsung",
+    "Samsung Galaxy S24 Ultra",
+  ]);
+  assert.deepStrictEqual(result.frequencies[0], {
+    word: "Samsung",
+    frequency: 2,
+  });
+  assert.deepStrictEqual(result.titleContext, [
+    "Samsung",
+    "Galaxy",
+    "S24",
+    "Ultra",
+    "review",
+  ]);
+  assert.deepStrictEqual(result.sentences, [
+    "The Samsung Galaxy S24 Ultra has a great camera",
+    "Samsung improved the camera.",
+  ]);
+  assert.deepStrictEqual(result.stats, {
+    characters: 77,
+    sentences: 2,
+    tokens: 14,
+    words: 13,
+    keywords: 2,
+  });
+  assert.deepStrictEqual(extractor.keywords, []);
+  assert.throws(() => extractor.analyze({ limit: -1 }), /limit must be/);
+});
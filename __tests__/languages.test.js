@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const {
+  getStopWords,
+  registerLanguage,
+  getLanguages,
+  normalizeLanguage,
+} = require("../src/languages");
+
+test("regional language codes resolve to their base language", () => {
+  assert.strictEqual(normalizeLanguage("de-DE"), "de");
+  assert.strictEqual(normalizeLanguage("PT_br"), "pt");
+  assert.strictEqual(getStopWords("pt-BR"), getStopWords("pt"));
+});
+
+test("unknown languages are rejected", () => {
+  assert.throws(() => getStopWords("xx"), /Unsupported language: xx/);
+  assert.throws(
+    () => new KeywordExtractor("Text", "", { language: "xx" }),
+    /Unsupported language: xx/,
+  );
+});
+
+test("the language option selects the stop word list", () => {
+  const extractor = new KeywordExtractor(
+    "Der Hund und die Katze spielen im Garten. Der Hund schläft.",
+    "",
+    { language: "de" },
+  );
+  assert.deepStrictEqual(
+    extractor.removeStopWords(["Der", "Hund", "und", "die", "Katze"]),
+    ["Hund", "Katze"],
+  );
+  assert.deepStrictEqual(
+    extractor
+      .extractKeywords({ occurrences: false })
+      .map((result) => result.keyword),
+    ["Hund", "Katze", "Garten", "spielen", "schläft"],
+  );
+});
+
+test("registerLanguage adds a lowercase list under the base code", () => {
+  assert.throws(
+    () => registerLanguage("it", 5),
+    /Stop words must be an iterable of strings/,
+  );
+
+  registerLanguage("IT", ["Il", "di"]);
+  assert.deepStrictEqual(Array.from(getStopWords("it-IT")), ["il", "di"]);
+  assert.ok(getLanguages().includes("it"));
+  assert.deepStrictEqual(
+    new KeywordExtractor("", "", { language: "it" }).removeStopWords([
+      "Il",
+      "gatto",
+      "di",
+      "Roma",
+    ]),
+    ["gatto", "Roma"],
+  );
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { parseMarkdown } = require("../src/formats/markdown");
+
+const markdown = `---
+title: Getting started with Kubernetes
+tags: [kubernetes, container orchestration]
+---
+
+# Kubernetes Basics
+
+Kubernetes is an open-source system from **Google**. Read the [docs](https://kubernetes.io/docs).
+
+\`\`\`yaml
+apiVersion: v1
+kind: Pod
+\`\`\`
+
+- Use \`kubectl apply\` to deploy *pods* and _services_.
+- See https://example.com/helm for Helm charts.
+`;
+
+test("parseMarkdown converts Markdown to text and drops code and URLs", () => {
+  const { text, title, headings, tags, sections } = parseMarkdown(markdown);
+
+  assert.strictEqual(
+    text,
+    "Kubernetes Basics\n\nKubernetes is an open-source system from Google. Read the docs.\n\nUse to deploy pods and services.\n\nSee for Helm charts.",
+  );
+  assert.strictEqual(title, "Getting started with Kubernetes");
+  assert.deepStrictEqual(headings, ["Kubernetes Basics"]);
+  assert.deepStrictEqual(tags, ["kubernetes", "container orchestration"]);
+  assert.deepStrictEqual(
+    sections.map(({ start, end, element }) => [
+      element,
+      text.slice(start, end),
+    ]),
+    [
+      ["h1", "Kubernetes Basics"],
+      ["strong", "Google"],
+    ],
+  );
+});
+
+test("parseMarkdown keeps the text of both emphasis styles", () => {
+  assert.deepStrictEqual(parseMarkdown("*a* _b_ **c**"), {
+    text: "a b c",
+    title: "",
+    sections: [{ start: 4, end: 5, element: "strong" }],
+    headings: [],
+    tags: [],
+  });
+});
+
+test("extractKeywords uses front matter and headings as title context", () => {
+  const extractor = new KeywordExtractor(markdown, "", { format: "markdown" });
+
+  assert.strictEqual(extractor.title, "Getting started with Kubernetes");
+  assert.deepStrictEqual(extractor.headings, ["Kubernetes Basics"]);
+  assert.deepStrictEqual(extractor.tags, [
+    "kubernetes",
+    "container orchestration",
+  ]);
+  assert.deepStrictEqual(extractor.findContextFromTitle(), [
+    "started",
+    "Kubernetes",
+    "Basics",
+    "kubernetes",
+    "container orchestration",
+  ]);
+
+  const keywords = extractor.extractKeywords().map(({ keyword }) => keyword);
+  assert.deepStrictEqual(keywords.slice(0, 3), [
+    "Basics",
+    "Kubernetes",
+    "Google",
+  ]);
+  assert.ok(!keywords.includes("kubectl"));
+  assert.ok(!keywords.includes("apiVersion"));
+});
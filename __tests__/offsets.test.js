@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const {
+  keywordPattern,
+  sentenceRanges,
+  indexWordStarts,
+  findOccurrences,
+  findWordVariants,
+} = require("../src/offsets");
+
+const text =
+  "OpenAI's ChatGPT is popular. OpenAIs fans love rock'n'roll and ROCK music. Mr. Smith agrees!";
+
+test("sentenceRanges skips periods after titles", () => {
+  assert.deepStrictEqual(
+    sentenceRanges(text).map(({ start, end }) => text.slice(start, end)),
+    [
+      "OpenAI's ChatGPT is popular",
+      "OpenAIs fans love rock'n'roll and ROCK music",
+      "Mr. Smith agrees!",
+    ],
+  );
+});
+
+test("findOccurrences drops a trailing possessive", () => {
+  assert.deepStrictEqual(findOccurrences(text, "OpenAI ChatGPT"), [
+    { start: 0, end: 16, sentenceIndex: 0 },
+  ]);
+});
+
+test("findOccurrences matches words ending or spelled without apostrophes", () => {
+  const surfaces = (keyword) =>
+    findOccurrences(text, keyword).map(({ start, end }) =>
+      text.slice(start, end),
+    );
+  assert.deepStrictEqual(surfaces("rock"), ["rock", "ROCK"]);
+  assert.deepStrictEqual(surfaces("rocknroll"), ["rock'n'roll"]);
+  assert.deepStrictEqual(surfaces("rock'n'roll"), ["rock'n'roll"]);
+  assert.deepStrictEqual(surfaces("OpenAI"), ["OpenAI"]);
+});
+
+test("indexed word starts give the same occurrences as the full pattern", () => {
+  const starts = indexWordStarts(text);
+  const ranges = sentenceRanges(text);
+  [
+    "OpenAI",
+    "openai chatgpt",
+    "ChatGPT is",
+    "rock",
+    "rocknroll",
+    "rock'n'roll",
+    "Smith",
+    "music Mr",
+    "fans",
+  ].forEach((keyword) => {
+    assert.deepStrictEqual(
+      findOccurrences(text, keyword, ranges, starts),
+      findOccurrences(text, keyword, ranges),
+      keyword,
+    );
+  });
+});
+
+test("indexWordStarts indexes every apostrophe-free prefix", () => {
+  const starts = indexWordStarts("Rock'n'Roll");
+  assert.deepStrictEqual(starts.get("rock"), [0]);
+  assert.deepStrictEqual(starts.get("rockn"), [0]);
+  assert.deepStrictEqual(starts.get("rocknroll"), [0]);
+  assert.deepStrictEqual(starts.get("roll"), [7]);
+});
+
+test("keywordPattern does not match inside words", () => {
+  assert.deepStrictEqual("Sam Samsung".match(keywordPattern("sam")), ["Sam"]);
+});
+
+test("findWordVariants finds words with the same normalized form", () => {
+  const variants = findWordVariants(
+    "One battery, two batteries.",
+    "battery",
+    (word) => word.toLowerCase().replace(/ies$/, "y"),
+  );
+  assert.deepStrictEqual(
+    variants.map(({ start, end }) => [start, end]),
+    [
+      [4, 11],
+      [17, 26],
+    ],
+  );
+});
+
+test("extractKeywords reports occurrences in the content and title", () => {
+  const extractor = new KeywordExtractor(
+    "Tesla builds cars. Tesla's factory is in Texas.",
+    "Tesla news",
+  );
+  const [first] = extractor.extractKeywords({ limit: 1 });
+  assert.strictEqual(first.keyword, "Tesla");
+  assert.deepStrictEqual(first.occurrences, [
+    { start: 0, end: 5, sentenceIndex: 0 },
+    { start: 19, end: 24, sentenceIndex: 1 },
+  ]);
+  assert.deepStrictEqual(first.titleOccurrences, [
+    { start: 0, end: 5, sentenceIndex: 0 },
+  ]);
+  assert.ok(
+    !("occurrences" in extractor.extractKeywords({ occurrences: false })[0]),
+  );
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { rake } = require("../src/algorithms/rake");
+
+const extractor = new KeywordExtractor("");
+const isStopWord = (word) => extractor.isStopWord(word);
+const tokens =
+  "Machine learning models need training data. Training data quality matters for machine learning.".split(
+    " ",
+  );
+
+test("rake scores phrases between stop words by word degree", () => {
+  assert.deepStrictEqual(rake(tokens, isStopWord), [
+    { keyword: "Training data quality matters", score: 14 },
+    { keyword: "Machine learning models", score: 8 },
+    { keyword: "training data", score: 6 },
+    { keyword: "machine learning", score: 5 },
+  ]);
+});
+
+test("rake drops phrases longer than maxWords", () => {
+  assert.deepStrictEqual(
+    rake(tokens, isStopWord, { maxWords: 2 }).map((result) => result.keyword),
+    ["training data", "machine learning"],
+  );
+});
+
+test("rake keeps phrases seen at least minFrequency times", () => {
+  assert.deepStrictEqual(rake(tokens, isStopWord, { minFrequency: 2 }), []);
+  assert.deepStrictEqual(
+    rake(tokens.concat(tokens), isStopWord, { minFrequency: 2, limit: 1 }),
+    [{ keyword: "Training data quality matters", score: 14 }],
+  );
+});
+
+test("extractKeywords runs RAKE on the extractor's tokens", () => {
+  const rakeExtractor = new KeywordExtractor(tokens.join(" "));
+  assert.deepStrictEqual(
+    rakeExtractor.extractKeywords({
+      algorithm: "rake",
+      limit: 2,
+      occurrences: false,
+    }),
+    [
+      { keyword: "Training data quality matters", score: 14 },
+      { keyword: "Machine learning models", score: 8 },
+    ],
+  );
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { escapeHtml, renderHighlights } = require("../src/render");
+
+const content = "Samsung unveiled the Galaxy S24 Ultra & a <new> stylus.";
+
+test("highlight marks keywords up as HTML, Markdown or custom markup", () => {
+  const extractor = new KeywordExtractor(content);
+
+  assert.strictEqual(
+    extractor.highlight({ limit: 2 }),
+    '<mark data-keyword="Samsung" data-score="2.5">Samsung</mark> unveiled the <mark data-keyword="Galaxy S24 Ultra" data-score="2.3091">Galaxy S24 Ultra</mark> &amp; a &lt;new&gt; stylus.',
+  );
+  assert.strictEqual(
+    extractor.highlight({ format: "markdown", limit: 2 }),
+    "**Samsung** unveiled the **Galaxy S24 Ultra** & a <new> stylus.",
+  );
+  assert.strictEqual(
+    extractor.highlight({
+      format: (text, { score }) => `[${text}](#${score})`,
+      limit: 1,
+    }),
+    "[Samsung](#2.5) unveiled the Galaxy S24 Ultra & a <new> stylus.",
+  );
+  assert.throws(
+    () => extractor.highlight({ format: "bbcode" }),
+    /Unknown highlight format: bbcode/,
+  );
+});
+
+test("highlight marks the results it is given", () => {
+  const extractor = new KeywordExtractor(content);
+  const { occurrences } = extractor.findOccurrences("stylus");
+  assert.strictEqual(
+    extractor.highlight({
+      keywords: [{ keyword: "stylus", score: 1, occurrences }],
+    }),
+    'Samsung unveiled the Galaxy S24 Ultra &amp; a &lt;new&gt; <mark data-keyword="stylus" data-score="1">stylus</mark>.',
+  );
+});
+
+test("overlapping occurrences keep the longer match", () => {
+  const results = [
+    { keyword: "Galaxy", score: 1, occurrences: [{ start: 0, end: 6 }] },
+    { keyword: "Galaxy S24", score: 2, occurrences: [{ start: 0, end: 10 }] },
+    { keyword: "S24 Ultra", score: 3, occurrences: [{ start: 7, end: 16 }] },
+  ];
+  assert.strictEqual(
+    renderHighlights("Galaxy S24 Ultra", results, { format: "markdown" }),
+    "**Galaxy S24** Ultra",
+  );
+});
+
+test("highlights escape the text around occurrences", () => {
+  const extractor = new KeywordExtractor("Use <b>Tesla</b> & Tesla.");
+  assert.strictEqual(
+    extractor.highlight({ limit: 1 }),
+    'Use &lt;b&gt;<mark data-keyword="Tesla" data-score="1.36">Tesla</mark>&lt;/b&gt; &amp; <mark data-keyword="Tesla" data-score="1.36">Tesla</mark>.',
+  );
+  assert.strictEqual(
+    renderHighlights(
+      "<a> b",
+      [{ keyword: "b", score: 1, occurrences: [{ start: 4, end: 5 }] }],
+      { format: "markdown" },
+    ),
+    "<a> **b**",
+  );
+  assert.strictEqual(
+    renderHighlights(
+      "a<b",
+      [{ keyword: "a", score: 1, occurrences: [{ start: 0, end: 1 }] }],
+      { format: "markdown", escape: true },
+    ),
+    "**a**&lt;b",
+  );
+  assert.strictEqual(escapeHtml(`<"&'>`), "&lt;&quot;&amp;&#39;&gt;");
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { DEFAULT_WEIGHTS, rankKeywords } = require("../src/scoring");
+
+const candidates = [
+  {
+    keyword: "Apple",
+    properNoun: true,
+    phrase: false,
+    frequency: 4,
+    title: true,
+    position: 0,
+  },
+  {
+    keyword: "battery life",
+    properNoun: false,
+    phrase: true,
+    frequency: 2,
+    title: false,
+    position: 0.5,
+  },
+  {
+    keyword: "charger",
+    properNoun: false,
+    phrase: false,
+    frequency: 1,
+    title: false,
+    position: null,
+  },
+];
+
+test("rankKeywords sums the weighted signals", () => {
+  assert.deepStrictEqual(rankKeywords(candidates), [
+    { keyword: "Apple", score: 3.5 },
+    { keyword: "battery life", score: 1.75 },
+    { keyword: "charger", score: 0.25 },
+  ]);
+});
+
+test("weights override the defaults one at a time", () => {
+  assert.deepStrictEqual(
+    rankKeywords(candidates, { weights: { properNoun: 0, title: 0 } }),
+    [
+      { keyword: "battery life", score: 1.75 },
+      { keyword: "Apple", score: 1.5 },
+      { keyword: "charger", score: 0.25 },
+    ],
+  );
+  assert.strictEqual(DEFAULT_WEIGHTS.properNoun, 1);
+});
+
+test("limit keeps the best keywords and must be positive", () => {
+  assert.deepStrictEqual(
+    rankKeywords(candidates, { limit: 1 }).map((result) => result.keyword),
+    ["Apple"],
+  );
+  assert.throws(
+    () => rankKeywords(candidates, { limit: 0 }),
+    /limit must be a positive number/,
+  );
+});
+
+test("extractKeywords ranks with the given weights and limit", () => {
+  const extractor = new KeywordExtractor(
+    "Google and Microsoft announced new features. The features ship to Google users first.",
+    "Google announces features",
+  );
+  const results = extractor.extractKeywords({ limit: 2, occurrences: false });
+  assert.deepStrictEqual(
+    results.map((result) => result.keyword),
+    ["Google", "features"],
+  );
+  assert.ok(results[0].score > results[1].score);
+
+  const unweighted = extractor.extractKeywords({
+    weights: { properNoun: 0, phrase: 0, frequency: 0, title: 0, position: 0 },
+    occurrences: false,
+  });
+  assert.ok(unweighted.every((result) => result.score === 0));
+  assert.throws(
+    () => extractor.extractKeywords({ limit: -1 }),
+    /limit must be a positive number/,
+  );
+});
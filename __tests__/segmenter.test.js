@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const {
+  endsUnspaced,
+  needsSegmentation,
+  segmentWords,
+} = require("../src/segmenter");
+
+const japanese = "東京は日本の首都です。東京には多くの観光地があります。";
+const thai = "ประเทศไทยเป็นประเทศที่สวยงาม กรุงเทพเป็นเมืองหลวงของประเทศไทย";
+
+test("needsSegmentation detects unspaced scripts and languages", () => {
+  assert.strictEqual(needsSegmentation("Tokyo"), false);
+  assert.strictEqual(needsSegmentation("Tokyo", "ja"), true);
+  assert.strictEqual(needsSegmentation("東京"), true);
+  assert.strictEqual(needsSegmentation("हिंदी भाषा"), false);
+});
+
+test("endsUnspaced counts marks with the character they follow", () => {
+  assert.strictEqual(endsUnspaced("タワー"), true);
+  assert.strictEqual(endsUnspaced("ガ"), true);
+  assert.strictEqual(endsUnspaced("हिंदी"), false);
+  assert.strictEqual(endsUnspaced("Tokyo"), false);
+});
+
+test("Japanese is segmented into words", () => {
+  const intl = segmentWords(japanese, "ja");
+  assert.ok(intl.includes("東京") && intl.includes("首都"));
+  assert.deepStrictEqual(
+    segmentWords(japanese, "ja", { segmenter: "dictionary" }),
+    [
+      ...["東京", "は", "日本", "の", "首都", "です", "。"],
+      ...[
+        "東京",
+        "に",
+        "は",
+        "多く",
+        "の",
+        "観光地",
+        "が",
+        "あり",
+        "ます",
+        "。",
+      ],
+    ],
+  );
+});
+
+test("Thai is segmented into words", () => {
+  const intl = segmentWords(thai, "th");
+  assert.ok(intl.includes("กรุงเทพ") && intl.includes("สวยงาม"));
+  assert.deepStrictEqual(
+    segmentWords(thai, "th", { segmenter: "dictionary" }),
+    [
+      ...["ประเทศ", "ไทย", "เป็น", "ประเทศ", "ที่", "สวยงาม"],
+      ...["กรุงเทพ", "เป็น", "เมือง", "หลวง", "ของ", "ประเทศ", "ไทย"],
+    ],
+  );
+});
+
+test("dictionary segmentation keeps spaced words and adds extra words", () => {
+  assert.deepStrictEqual(
+    segmentWords("Apple 发布 iPhone", "zh", { segmenter: "dictionary" }),
+    ["Apple", "发布", "iPhone"],
+  );
+  assert.deepStrictEqual(
+    segmentWords("東京タワーです。", "ja", {
+      segmenter: "dictionary",
+      dictionary: ["東京タワー"],
+    }),
+    ["東京タワー", "です", "。"],
+  );
+});
+
+test("extra words are read once for every sentence", () => {
+  function* extraWords() {
+    yield "東京タワー";
+  }
+  const extractor = new KeywordExtractor(
+    "東京タワーは高いです。東京タワーは赤いです。",
+    "",
+    { language: "ja", segmenter: "dictionary", dictionary: extraWords() },
+  );
+  assert.deepStrictEqual(
+    extractor.tokenize().filter((token) => token === "東京タワー"),
+    ["東京タワー", "東京タワー"],
+  );
+});
+
+test("custom and unknown segmenters", () => {
+  assert.deepStrictEqual(
+    segmentWords("東京", "ja", { segmenter: (text) => Array.from(text) }),
+    ["東", "京"],
+  );
+  assert.throws(
+    () => segmentWords("東京", "ja", { segmenter: "mecab" }),
+    /Unknown segmenter: mecab/,
+  );
+});
+
+test("katakana words ending in a long vowel mark are found", () => {
+  const content = "東京は日本の首都です。東京タワーは有名です。";
+  [{}, { segmenter: "dictionary" }].forEach((options) => {
+    const extractor = new KeywordExtractor(content, "", {
+      language: "ja",
+      ...options,
+    });
+    const tower = extractor
+      .extractKeywords()
+      .find((result) => result.keyword.endsWith("タワー"));
+    assert.ok(tower.score > 0);
+    assert.strictEqual(tower.occurrences.length, 1);
+    assert.strictEqual(
+      content.slice(tower.occurrences[0].start, tower.occurrences[0].end),
+      tower.keyword,
+    );
+  });
+});
+
+test("Thai keywords are extracted with their occurrences", () => {
+  const results = new KeywordExtractor(thai, "", {
+    language: "th",
+    segmenter: "dictionary",
+  }).extractKeywords({ limit: 1 });
+  assert.strictEqual(results[0].keyword, "ประเทศไทย");
+  assert.strictEqual(results[0].occurrences.length, 2);
+});
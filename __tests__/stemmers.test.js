@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const {
+  porterStemmer,
+  createLemmatizer,
+  getStemmer,
+  registerStemmer,
+  resolveNormalizer,
+} = require("../src/stemmers");
+const { englishLemmas } = require("../src/stemmers/lemmatizer");
+
+test("porterStemmer reduces words to their stems", () => {
+  assert.deepStrictEqual(
+    [
+      "caresses",
+      "ponies",
+      "running",
+      "relational",
+      "generalization",
+      "happy",
+    ].map(porterStemmer),
+    ["caress", "poni", "run", "relat", "gener", "happi"],
+  );
+});
+
+test("createLemmatizer looks words up and strips regular plurals", () => {
+  const lemmatize = createLemmatizer({ mice: "mouse" });
+  assert.strictEqual(lemmatize("mice"), "mouse");
+  assert.strictEqual(lemmatize("cats"), "cat");
+});
+
+test("the English dictionary maps irregular forms", () => {
+  const lemmatize = createLemmatizer(englishLemmas);
+  assert.deepStrictEqual(
+    ["batteries", "ran", "children", "better"].map(lemmatize),
+    ["battery", "run", "child", "good"],
+  );
+});
+
+test("getStemmer rejects languages without a stemmer", () => {
+  assert.strictEqual(getStemmer("en"), porterStemmer);
+  assert.throws(
+    () => getStemmer("xx"),
+    /No stemmer registered for language: xx/,
+  );
+});
+
+test("registerStemmer only accepts functions", () => {
+  assert.throws(
+    () => registerStemmer("xx", "stem"),
+    /Stemmer must be a function/,
+  );
+});
+
+test("resolveNormalizer lemmatizes before stemming", () => {
+  assert.strictEqual(resolveNormalizer({}), null);
+  const normalize = resolveNormalizer({ stemmer: true, lemmatizer: true });
+  assert.strictEqual(normalize("batteries"), porterStemmer("battery"));
+});
+
+test("the stemmer and lemmatizer options group word variants", () => {
+  const content =
+    "The battery lasts long. Batteries degrade slowly. Battery life matters and batteries cost money.";
+  const occurrences = (options) => {
+    const [first] = new KeywordExtractor(content, "", options).extractKeywords({
+      limit: 1,
+    });
+    return [first.keyword, first.occurrences.length];
+  };
+
+  assert.deepStrictEqual(occurrences({}), ["battery", 2]);
+  assert.deepStrictEqual(occurrences({ stemmer: true }), ["battery", 4]);
+  assert.deepStrictEqual(occurrences({ lemmatizer: true }), ["battery", 4]);
+  assert.deepStrictEqual(
+    new KeywordExtractor(content, "", { lemmatizer: true })
+      .findHighFrequencyKeywords(1)
+      .slice(0, 1),
+    [{ word: "battery", frequency: 4 }],
+  );
+});
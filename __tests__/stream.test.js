@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Readable } = require("stream");
+const { KeywordStream, extractFromStream } = require("../src/stream");
+
+const text =
+  "Apple and Google compete in smartphones. Apple released the iPhone in California. Google makes Android phones. Samsung also makes Android phones.";
+
+test("chunks split inside words give the same keywords as whole sentences", async () => {
+  const whole = await extractFromStream([text], { title: "Smartphone market" });
+  const chunked = await extractFromStream(text.match(/[\s\S]{1,5}/g), {
+    title: "Smartphone market",
+  });
+  assert.deepStrictEqual(chunked, whole);
+  assert.ok(whole.some((result) => result.keyword === "Apple"));
+});
+
+test("characters split across Buffer chunks are decoded", async () => {
+  const buffer = Buffer.from(
+    "Zürich hosts Škoda events. Zürich is in Switzerland. ",
+  );
+  const stream = new KeywordStream({ limit: 3 });
+  const emitted = new Promise((resolve) => stream.on("keywords", resolve));
+  const ended = new Promise((resolve) => stream.on("end", resolve));
+  const pushed = [];
+  stream.on("data", (result) => pushed.push(result));
+
+  Readable.from([
+    buffer.subarray(0, 2),
+    buffer.subarray(2, 30),
+    buffer.subarray(30),
+  ]).pipe(stream);
+  const results = await emitted;
+  const keywords = results.map((result) => result.keyword);
+  assert.ok(keywords.includes("Zürich"));
+  assert.ok(keywords.includes("Škoda"));
+  await ended;
+  assert.deepStrictEqual(pushed, results);
+});
+
+test("running counts cover complete sentences only", () => {
+  const stream = new KeywordStream();
+  stream.addChunk("Apple sells phones. Apple buys chips. Goo");
+
+  assert.strictEqual(stream.pending, "Goo");
+  assert.deepStrictEqual(Array.from(stream.properNouns), [["Apple", 2]]);
+  assert.strictEqual(stream.frequencies.get("apple"), 2);
+  assert.ok(!stream.frequencies.has("goo"));
+  assert.deepStrictEqual(stream.getKeywords()[0], {
+    keyword: "Apple",
+    score: 2.5,
+  });
+});
+
+test("text without a sentence boundary is cut at whitespace", () => {
+  const stream = new KeywordStream({ maxSentenceLength: 10 });
+  stream.addChunk("alpha beta gamma delta");
+
+  assert.strictEqual(stream.pending, "delta");
+  assert.deepStrictEqual(Array.from(stream.frequencies.keys()), [
+    "alpha",
+    "beta",
+    "gamma",
+  ]);
+});
+
+test("extractFromStream reads async iterables of strings and Buffers", async () => {
+  async function* chunks() {
+    yield "Tesla builds cars. ";
+    yield Buffer.from("Tesla sells cars.");
+  }
+  assert.deepStrictEqual(await extractFromStream(chunks(), { limit: 2 }), [
+    { keyword: "Tesla", score: 2.5 },
+    { keyword: "cars", score: 1.3194 },
+  ]);
+});
+
+test("invalid options throw before any input arrives", () => {
+  assert.throws(
+    () => new KeywordStream({ language: "xx" }),
+    /Unsupported language: xx/,
+  );
+});
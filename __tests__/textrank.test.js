@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { textRank } = require("../src/algorithms/textrank");
+
+const content =
+  "Compatibility of systems of linear constraints over the set of natural numbers. Criteria of compatibility of a system of linear Diophantine equations, strict inequations, and nonstrict inequations are considered.";
+const extractor = new KeywordExtractor("");
+const isStopWord = (word) => extractor.isStopWord(word);
+const tokens = content.split(" ");
+
+test("textRank ranks the top third of words and merges adjacent ones", () => {
+  assert.deepStrictEqual(textRank(tokens, isStopWord), [
+    { keyword: "inequations", score: 1.7151 },
+    { keyword: "linear", score: 1.59 },
+    { keyword: "Compatibility", score: 1.2168 },
+    { keyword: "natural", score: 0.9112 },
+  ]);
+  assert.strictEqual(
+    textRank(tokens, isStopWord, { topRatio: 1 })[0].keyword,
+    "linear Diophantine equations",
+  );
+});
+
+test("a wider window links words further apart", () => {
+  const keywords = textRank(tokens, isStopWord, { window: 3 }).map(
+    (result) => result.keyword,
+  );
+  assert.ok(keywords.includes("nonstrict inequations"));
+  assert.throws(
+    () => textRank(tokens, isStopWord, { window: 1 }),
+    /window must be a number of at least 2/,
+  );
+});
+
+test("damping 0 gives every word the same score", () => {
+  const ranked = textRank(tokens, isStopWord, { damping: 0, topRatio: 1 });
+  ranked.forEach(({ keyword, score }) => {
+    assert.strictEqual(score, keyword.split(" ").length);
+  });
+});
+
+test("maxIterations limits the PageRank iterations", () => {
+  assert.deepStrictEqual(textRank(tokens, isStopWord, { maxIterations: 0 }), [
+    { keyword: "linear constraints", score: 2 },
+    { keyword: "Compatibility", score: 1 },
+    { keyword: "systems", score: 1 },
+    { keyword: "linear", score: 1 },
+  ]);
+  assert.strictEqual(
+    textRank(tokens, isStopWord, { maxIterations: 1 })[0].score,
+    2.275,
+  );
+});
+
+test("extractKeywords passes the TextRank options on", () => {
+  const textRankExtractor = new KeywordExtractor(content);
+  assert.deepStrictEqual(
+    textRankExtractor.extractKeywords({
+      algorithm: "textrank",
+      limit: 2,
+      occurrences: false,
+    }),
+    [
+      { keyword: "inequations", score: 1.7151 },
+      { keyword: "linear", score: 1.59 },
+    ],
+  );
+  assert.deepStrictEqual(
+    textRankExtractor.extractKeywords({
+      algorithm: "textrank",
+      damping: 0.5,
+      limit: 1,
+      occurrences: false,
+    }),
+    [{ keyword: "inequations", score: 1.5168 }],
+  );
+});
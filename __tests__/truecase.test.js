@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const Corpus = require("../src/corpus");
+const {
+  casingKey,
+  countCasing,
+  isMostlyCapitalized,
+} = require("../src/truecase");
+
+const text =
+  "Google announced a new model on Tuesday. Researchers said the model is faster. Analysts expect Google to ship it soon.";
+
+test("countCasing skips the first word of each sentence", () => {
+  const lowerCase = (word) => word.toLowerCase();
+  assert.deepStrictEqual(
+    Array.from(
+      countCasing(
+        [
+          ["Google", "said", "Apple", "and", "apple"],
+          ["Apple", "pie"],
+        ],
+        lowerCase,
+      ),
+    ),
+    [
+      ["said", { capitalized: 0, lowercase: 1 }],
+      ["apple", { capitalized: 1, lowercase: 1 }],
+      ["and", { capitalized: 0, lowercase: 1 }],
+      ["pie", { capitalized: 0, lowercase: 1 }],
+    ],
+  );
+  assert.strictEqual(casingKey("Google’s,", lowerCase), "google");
+  assert.strictEqual(
+    isMostlyCapitalized({ capitalized: 2, lowercase: 1 }),
+    true,
+  );
+  assert.strictEqual(
+    isMostlyCapitalized({ capitalized: 1, lowercase: 1 }),
+    null,
+  );
+  assert.strictEqual(isMostlyCapitalized(undefined), null);
+});
+
+test("casing elsewhere in the content recovers sentence-initial words", () => {
+  const extractor = new KeywordExtractor(text);
+  assert.deepStrictEqual(extractor.findProperNouns(), ["Google", "Tuesday"]);
+  assert.strictEqual(extractor.truecase("Google"), "Google");
+  assert.strictEqual(extractor.truecase("Researchers"), null);
+
+  const mixed = new KeywordExtractor(
+    "Apple pie is great, and I love apple crumble.",
+  );
+  assert.strictEqual(mixed.truecase("Apple"), "apple");
+  assert.deepStrictEqual(mixed.findProperNouns(), []);
+
+  assert.deepStrictEqual(
+    new KeywordExtractor(text, "", { truecase: false }).findProperNouns(),
+    ["Tuesday", "Google"],
+  );
+});
+
+test("the corpus supplies casing for words that only start sentences", () => {
+  const corpus = new Corpus();
+  corpus.addDocument(
+    "We met the team at Zyphra yesterday. The Zyphra office is large.",
+  );
+  corpus.addDocument("Prices rose. The prices of Zyphra shares fell.");
+  assert.deepStrictEqual(corpus.getCasing("zyphra"), {
+    capitalized: 3,
+    lowercase: 0,
+  });
+  assert.deepStrictEqual(corpus.getCasing("prices"), {
+    capitalized: 0,
+    lowercase: 1,
+  });
+
+  const content = "Zyphra released a model. Several people tried it.";
+  assert.deepStrictEqual(
+    new KeywordExtractor(content, "", { corpus }).findProperNouns(),
+    ["Zyphra"],
+  );
+  assert.deepStrictEqual(new KeywordExtractor(content).findProperNouns(), []);
+
+  corpus.removeDocument(0);
+  assert.deepStrictEqual(corpus.getCasing("zyphra"), {
+    capitalized: 1,
+    lowercase: 0,
+  });
+  assert.deepStrictEqual(
+    Corpus.fromJSON(JSON.parse(JSON.stringify(corpus))).getCasing("zyphra"),
+    corpus.getCasing("zyphra"),
+  );
+});
+
+test("the case lexicon covers weekdays, nationalities and known names", () => {
+  assert.deepStrictEqual(
+    new KeywordExtractor(
+      "Wednesday was busy. Chinese food is good. Nvidia shipped chips.",
+    ).findProperNouns(),
+    ["Wednesday", "Chinese", "Nvidia"],
+  );
+  assert.strictEqual(
+    new KeywordExtractor("").truecase("Google", new Map()),
+    "Google",
+  );
+});
+
+test("a possessive does not split a proper noun", () => {
+  const extractor = new KeywordExtractor(
+    "OpenAI's ChatGPT is popular. People use OpenAI's ChatGPT daily.",
+  );
+  assert.deepStrictEqual(extractor.findProperNouns(), ["OpenAI ChatGPT"]);
+});
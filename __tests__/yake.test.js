@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const KeywordExtractor = require("../src/keywordExtractor");
+const { yake } = require("../src/algorithms/yake");
+
+const extractor = new KeywordExtractor("");
+const isStopWord = (word) => extractor.isStopWord(word);
+const sentences = [
+  ["Machine", "learning", "models", "need", "training", "data"],
+  ["Training", "data", "quality", "matters", "for", "machine", "learning"],
+];
+
+test("yake scores candidates so that higher is better", () => {
+  assert.deepStrictEqual(yake(sentences, isStopWord, { limit: 3 }), [
+    { keyword: "Machine learning models", score: 0.9496 },
+    { keyword: "Machine learning", score: 0.9256 },
+    { keyword: "training data", score: 0.9256 },
+  ]);
+});
+
+test("yake candidates neither start nor end with a stop word", () => {
+  yake(sentences, isStopWord).forEach(({ keyword }) => {
+    const words = keyword.split(" ");
+    assert.ok(!isStopWord(words[0]), keyword);
+    assert.ok(!isStopWord(words[words.length - 1]), keyword);
+  });
+});
+
+test("yake suppresses near duplicates above the threshold", () => {
+  const repeated = [["battery", "life", "battery", "lifes", "battery", "life"]];
+  const keywords = (options) =>
+    yake(repeated, isStopWord, options).map((result) => result.keyword);
+
+  assert.ok(keywords().includes("battery life"));
+  assert.ok(!keywords().includes("battery lifes"));
+  assert.ok(keywords({ dedupThreshold: 1 }).includes("battery lifes"));
+});
+
+test("extractKeywords runs YAKE on the extractor's sentences", () => {
+  const yakeExtractor = new KeywordExtractor(
+    "Machine learning models need training data. Training data quality matters for machine learning.",
+  );
+  assert.deepStrictEqual(
+    yakeExtractor
+      .extractKeywords({ algorithm: "yake", limit: 2, occurrences: false })
+      .map((result) => result.keyword),
+    ["Machine learning models", "Machine learning"],
+  );
+});
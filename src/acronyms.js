@@ -0,0 +1,101 @@
+/**
+ * Acronyms: 2 to 10 letters, digits, "&", "." or "-", starting with a letter
+ * and with at least two capitals ("AI", "ECB", "IoT", "R&D")
+ * @type {RegExp}
+ */
+const ACRONYM = /^(?=(?:[^\p{Lu}]*\p{Lu}){2})\p{L}[\p{L}\p{N}&.-]{1,9}$/u;
+
+/**
+ * Finds the shortest run of words ending a text whose letters spell an
+ * acronym in order, the first letter starting a word (Schwartz & Hearst,
+ * "A Simple Algorithm for Identifying Abbreviation Definitions in
+ * Biomedical Text", 2003)
+ * @param {string} acronym - Acronym to spell
+ * @param {string} text - Text ending with the candidate expansion
+ * @returns {string|null} The expansion, or null when the letters do not match
+ */
+function matchExpansion(acronym, text) {
+  // A plural acronym ("APIs") spells its singular
+  const short = /\p{Lu}s$/u.test(acronym) ? acronym.slice(0, -1) : acronym;
+  const isWordCharacter = (char) => /[\p{L}\p{N}]/u.test(char);
+  let l = text.length - 1;
+
+  for (let s = short.length - 1; s >= 0; s--) {
+    const char = short[s].toLowerCase();
+    if (!isWordCharacter(char)) continue;
+    while (
+      l >= 0 &&
+      (text[l].toLowerCase() !== char ||
+        (s === 0 && l > 0 && isWordCharacter(text[l - 1])))
+    ) {
+      l--;
+    }
+    if (l < 0) return null;
+    l--;
+  }
+
+  const expansion = text.slice(text.lastIndexOf(" ", l) + 1).trim();
+  const words = expansion.split(/\s+/);
+  // The expansion must be longer than the acronym and not swallow far more
+  // words than it has letters
+  return words.length >= 2 &&
+    expansion.length > acronym.length &&
+    words.length <= short.length + 5
+    ? expansion
+    : null;
+}
+
+/**
+ * Finds acronym definitions: a long form followed by its acronym in
+ * parentheses ("European Central Bank (ECB)") or an acronym followed by its
+ * long form ("ECB (European Central Bank)"). The first definition of each
+ * acronym wins.
+ * @param {string[]} sentences - Sentences to search
+ * @returns {Array<{acronym: string, expansion: string}>} Acronym definitions in order of appearance
+ */
+function findAcronyms(sentences) {
+  const definitions = new Map();
+  const define = (acronym, expansion) => {
+    if (!definitions.has(acronym)) {
+      definitions.set(acronym, { acronym, expansion });
+    }
+  };
+
+  sentences.forEach((sentence) => {
+    for (const match of sentence.matchAll(/\(\s*([^()]+?)\s*\)/g)) {
+      const inside = match[1];
+      const before = sentence.slice(0, match.index).trimEnd();
+
+      if (ACRONYM.test(inside)) {
+        // Long form (ACRONYM): search the words just before the parenthesis
+        const words = before.split(/\s+/);
+        const limit = Math.min(inside.length + 5, inside.length * 2);
+        const candidate = words
+          .slice(-limit)
+          .join(" ")
+          .replace(/[\p{P}\p{S}]+$/u, "");
+        const expansion = matchExpansion(inside, candidate);
+        if (expansion) define(inside, expansion);
+        continue;
+      }
+
+      // ACRONYM (Long Form): the parenthesis holds the whole long form
+      const previous = before
+        .split(/\s+/)
+        .pop()
+        .replace(/[,:;]$/, "");
+      if (ACRONYM.test(previous)) {
+        const expansion = matchExpansion(previous, inside);
+        if (expansion && expansion === inside.replace(/\s+/g, " ")) {
+          define(previous, expansion);
+        }
+      }
+    }
+  });
+
+  return Array.from(definitions.values());
+}
+
+module.exports = {
+  findAcronyms,
+};
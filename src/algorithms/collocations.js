@@ -0,0 +1,126 @@
+const { splitPunctuation, joinWords, roundScore } = require("./utils");
+
+/**
+ * Dunning's log-likelihood ratio (G²) for a 2x2 contingency table
+ * @param {number} k11 - Occurrences of the prefix followed by the last word
+ * @param {number} k12 - Occurrences of the prefix without the last word
+ * @param {number} k21 - Occurrences of the last word without the prefix
+ * @param {number} k22 - Positions with neither
+ * @returns {number} Log-likelihood ratio
+ */
+function logLikelihood(k11, k12, k21, k22) {
+  const total = k11 + k12 + k21 + k22;
+  const rows = [k11 + k12, k21 + k22];
+  const columns = [k11 + k21, k12 + k22];
+  const cells = [
+    [k11, 0, 0],
+    [k12, 0, 1],
+    [k21, 1, 0],
+    [k22, 1, 1],
+  ];
+
+  return (
+    2 *
+    cells.reduce((sum, [observed, row, column]) => {
+      if (!observed) return sum;
+      const expected = (rows[row] * columns[column]) / total;
+      return sum + observed * Math.log(observed / expected);
+    }, 0)
+  );
+}
+
+/**
+ * Detects statistically significant bigrams and trigrams ("supply chain",
+ * "interest rates"). Candidates never cross punctuation, never start or end
+ * with a stop word and may contain stop words inside ("bill of rights").
+ * @param {string[]} tokens - Tokens produced by KeywordExtractor#tokenize
+ * @param {function(string): boolean} isStopWord - Stop word check
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.measure="llr"] - "llr" (log-likelihood ratio) or "pmi" (pointwise mutual information)
+ * @param {number} [options.maxWords=3] - Longest n-gram to consider (2 or 3)
+ * @param {number} [options.minFrequency=2] - Minimum occurrences of an n-gram
+ * @param {number} [options.minScore] - Minimum score, 3.84 (p < 0.05) for llr and 0 for pmi by default
+ * @param {number} [options.limit] - Maximum number of phrases to return
+ * @returns {Array<{keyword: string, score: number}>} Phrases sorted by descending score
+ * @throws {Error} When the measure is unknown
+ */
+function findCollocations(tokens, isStopWord, options = {}) {
+  const {
+    measure = "llr",
+    maxWords = 3,
+    minFrequency = 2,
+    minScore = measure === "llr" ? 3.84 : 0,
+    limit,
+  } = options;
+
+  if (measure !== "llr" && measure !== "pmi") {
+    throw new Error(`Unknown collocation measure: ${measure}`);
+  }
+
+  const chunks = [[]];
+  tokens.forEach((token) => {
+    const { leading, word, trailing } = splitPunctuation(token);
+    if (leading) chunks.push([]);
+    if (word) chunks[chunks.length - 1].push(word);
+    if (trailing) chunks.push([]);
+  });
+
+  // Count every n-gram up to maxWords so prefixes and words can be looked up
+  const counts = new Map();
+  const surfaceForms = new Map();
+  let total = 0;
+  chunks.forEach((chunk) => {
+    total += chunk.length;
+    for (let i = 0; i < chunk.length; i++) {
+      for (let n = 1; n <= maxWords && i + n <= chunk.length; n++) {
+        const words = chunk.slice(i, i + n);
+        const key = words.join(" ").toLowerCase();
+        counts.set(key, (counts.get(key) || 0) + 1);
+        if (!surfaceForms.has(key)) surfaceForms.set(key, joinWords(words));
+      }
+    }
+  });
+
+  const ranked = [];
+  counts.forEach((count, key) => {
+    const words = key.split(" ");
+    if (
+      words.length < 2 ||
+      count < minFrequency ||
+      isStopWord(words[0]) ||
+      isStopWord(words[words.length - 1]) ||
+      words.some((word) => /^\d+$/.test(word))
+    ) {
+      return;
+    }
+
+    let score;
+    if (measure === "pmi") {
+      const expected = words.reduce(
+        (product, word) => product * (counts.get(word) / total),
+        1,
+      );
+      score = Math.log2(count / total / expected);
+    } else {
+      const prefix = counts.get(words.slice(0, -1).join(" "));
+      const last = counts.get(words[words.length - 1]);
+      score = logLikelihood(
+        count,
+        prefix - count,
+        last - count,
+        Math.max(0, total - prefix - last + count),
+      );
+    }
+
+    if (score >= minScore) {
+      ranked.push({ keyword: surfaceForms.get(key), score: roundScore(score) });
+    }
+  });
+
+  ranked.sort((a, b) => b.score - a.score);
+  return limit === undefined ? ranked : ranked.slice(0, limit);
+}
+
+module.exports = {
+  findCollocations,
+};
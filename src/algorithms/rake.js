@@ -0,0 +1,93 @@
+const { splitPunctuation, joinWords, roundScore } = require("./utils");
+
+/**
+ * Groups tokens into candidate phrases, using stop words and punctuation as
+ * phrase delimiters
+ * @param {string[]} tokens - Tokens produced by KeywordExtractor#tokenize
+ * @param {function(string): boolean} isStopWord - Stop word check
+ * @returns {string[][]} Candidate phrases as arrays of words
+ */
+function candidatePhrases(tokens, isStopWord) {
+  const phrases = [];
+  let current = [];
+
+  const endPhrase = () => {
+    if (current.length) phrases.push(current);
+    current = [];
+  };
+
+  tokens.forEach((token) => {
+    const { leading, word, trailing } = splitPunctuation(token);
+
+    if (leading) endPhrase();
+    if (!word || isStopWord(word) || /^\d+$/.test(word)) {
+      endPhrase();
+    } else {
+      current.push(word);
+    }
+    if (trailing) endPhrase();
+  });
+  endPhrase();
+
+  return phrases;
+}
+
+/**
+ * Rapid Automatic Keyword Extraction. Words are scored by the ratio of their
+ * degree (co-occurrence with other words in candidate phrases, including
+ * themselves) to their frequency, and a phrase scores the sum of its words.
+ * @param {string[]} tokens - Tokens produced by KeywordExtractor#tokenize
+ * @param {function(string): boolean} isStopWord - Stop word check
+ * @param {Object} [options] - RAKE options
+ * @param {number} [options.maxWords=4] - Longest phrase to keep, in words
+ * @param {number} [options.minFrequency=1] - Minimum occurrences of a phrase
+ * @param {number} [options.limit] - Maximum number of phrases to return
+ * @returns {Array<{keyword: string, score: number}>} Phrases sorted by descending score
+ */
+function rake(tokens, isStopWord, options = {}) {
+  const { maxWords = 4, minFrequency = 1, limit } = options;
+
+  const phrases = candidatePhrases(tokens, isStopWord).filter(
+    (phrase) => phrase.length <= maxWords,
+  );
+
+  const frequency = new Map();
+  const degree = new Map();
+  phrases.forEach((phrase) => {
+    phrase.forEach((word) => {
+      const key = word.toLowerCase();
+      frequency.set(key, (frequency.get(key) || 0) + 1);
+      degree.set(key, (degree.get(key) || 0) + phrase.length);
+    });
+  });
+
+  // Group phrase occurrences, keeping the first surface form seen
+  const candidates = new Map();
+  phrases.forEach((phrase) => {
+    const key = phrase.join(" ").toLowerCase();
+    const candidate = candidates.get(key);
+    if (candidate) {
+      candidate.count++;
+      return;
+    }
+    const score = phrase.reduce((sum, word) => {
+      const lower = word.toLowerCase();
+      return sum + degree.get(lower) / frequency.get(lower);
+    }, 0);
+    candidates.set(key, { keyword: joinWords(phrase), score, count: 1 });
+  });
+
+  const ranked = Array.from(candidates.values())
+    .filter((candidate) => candidate.count >= minFrequency)
+    .map(({ keyword, score }) => ({
+      keyword,
+      score: roundScore(score),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return limit === undefined ? ranked : ranked.slice(0, limit);
+}
+
+module.exports = {
+  rake,
+};
@@ -0,0 +1,138 @@
+const { splitPunctuation, joinWords, roundScore } = require("./utils");
+
+/**
+ * Runs weighted PageRank over an undirected co-occurrence graph
+ * @param {Map<string, Map<string, number>>} graph - Edge weights by vertex
+ * @param {Object} options - PageRank options
+ * @param {number} options.damping - Damping factor
+ * @param {number} options.maxIterations - Iteration limit
+ * @param {number} options.tolerance - Stops once no score changes by more than this
+ * @returns {Map<string, number>} Score per vertex
+ */
+function pageRank(graph, { damping, maxIterations, tolerance }) {
+  const totals = new Map();
+  graph.forEach((edges, vertex) => {
+    let total = 0;
+    edges.forEach((weight) => (total += weight));
+    totals.set(vertex, total);
+  });
+
+  let scores = new Map(Array.from(graph.keys(), (vertex) => [vertex, 1]));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = new Map();
+    let delta = 0;
+
+    graph.forEach((edges, vertex) => {
+      let rank = 0;
+      edges.forEach((weight, neighbour) => {
+        rank += (weight / totals.get(neighbour)) * scores.get(neighbour);
+      });
+      const score = 1 - damping + damping * rank;
+      delta = Math.max(delta, Math.abs(score - scores.get(vertex)));
+      next.set(vertex, score);
+    });
+
+    scores = next;
+    if (delta < tolerance) break;
+  }
+
+  return scores;
+}
+
+/**
+ * TextRank keyword extraction. Builds a co-occurrence graph over the stop
+ * word filtered words, ranks them with PageRank and merges adjacent
+ * top-ranked words into keyphrases.
+ * @param {string[]} tokens - Tokens produced by KeywordExtractor#tokenize
+ * @param {function(string): boolean} isStopWord - Stop word check
+ * @param {Object} [options] - TextRank options
+ * @param {number} [options.window=2] - Co-occurrence window size, in filtered words
+ * @param {number} [options.damping=0.85] - PageRank damping factor
+ * @param {number} [options.maxIterations=30] - PageRank iteration limit
+ * @param {number} [options.tolerance=0.0001] - PageRank convergence threshold
+ * @param {number} [options.topRatio=1/3] - Share of ranked words used to build keyphrases
+ * @param {number} [options.limit] - Maximum number of keyphrases to return
+ * @returns {Array<{keyword: string, score: number}>} Keyphrases sorted by descending score
+ */
+function textRank(tokens, isStopWord, options = {}) {
+  const {
+    window = 2,
+    damping = 0.85,
+    maxIterations = 30,
+    tolerance = 0.0001,
+    topRatio = 1 / 3,
+    limit,
+  } = options;
+
+  if (typeof window !== "number" || window < 2) {
+    throw new Error("window must be a number of at least 2");
+  }
+
+  // Keep the token sequence so adjacency can be checked when merging,
+  // with null marking stop words and punctuation
+  const sequence = [];
+  tokens.forEach((token) => {
+    const { leading, word, trailing } = splitPunctuation(token);
+    if (leading) sequence.push(null);
+    sequence.push(
+      word && !isStopWord(word) && !/^\d+$/.test(word) ? word : null,
+    );
+    if (trailing) sequence.push(null);
+  });
+
+  const filtered = sequence.filter(Boolean).map((word) => word.toLowerCase());
+  const graph = new Map(filtered.map((word) => [word, new Map()]));
+
+  filtered.forEach((word, i) => {
+    for (let j = i + 1; j < Math.min(i + window, filtered.length); j++) {
+      const other = filtered[j];
+      if (other === word) continue;
+      const edges = graph.get(word);
+      edges.set(other, (edges.get(other) || 0) + 1);
+      graph.get(other).set(word, (graph.get(other).get(word) || 0) + 1);
+    }
+  });
+
+  const scores = pageRank(graph, { damping, maxIterations, tolerance });
+  const topCount = Math.max(1, Math.round(scores.size * topRatio));
+  const topWords = new Set(
+    Array.from(scores.entries())
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, topCount)
+      .map(([word]) => word),
+  );
+
+  // Merge runs of adjacent top-ranked words, keeping the first surface form
+  const phrases = new Map();
+  let run = [];
+  const endRun = () => {
+    if (run.length) {
+      const key = run.join(" ").toLowerCase();
+      if (!phrases.has(key)) {
+        const score = run.reduce(
+          (sum, word) => sum + scores.get(word.toLowerCase()),
+          0,
+        );
+        phrases.set(key, { keyword: joinWords(run), score: roundScore(score) });
+      }
+    }
+    run = [];
+  };
+
+  sequence.forEach((word) => {
+    if (word && topWords.has(word.toLowerCase())) {
+      run.push(word);
+    } else {
+      endRun();
+    }
+  });
+  endRun();
+
+  const ranked = Array.from(phrases.values()).sort((a, b) => b.score - a.score);
+  return limit === undefined ? ranked : ranked.slice(0, limit);
+}
+
+module.exports = {
+  textRank,
+};
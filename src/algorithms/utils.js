@@ -0,0 +1,47 @@
+const { UNSPACED_SCRIPT, endsUnspaced } = require("../segmenter");
+
+/**
+ * Splits a token into its leading punctuation, word and trailing punctuation
+ * @param {string} token - Token produced by KeywordExtractor#tokenize
+ * @returns {{leading: string, word: string, trailing: string}} Token parts
+ */
+function splitPunctuation(token) {
+  const [, leading, word, trailing] = token.match(
+    /^([\p{P}\p{S}]*)(.*?)([\p{P}\p{S}]*)$/u,
+  );
+  return {
+    leading,
+    // Possessives would otherwise create separate candidates ("Apple's")
+    word: word.replace(/['’]s$/, ""),
+    trailing,
+  };
+}
+
+/**
+ * Joins words into a phrase, without spaces between words of scripts that
+ * are written without them (Chinese, Japanese, Thai)
+ * @param {string[]} words - Words to join
+ * @returns {string} Phrase
+ */
+function joinWords(words) {
+  return words.reduce((phrase, word) => {
+    if (!phrase) return word;
+    const unspaced = endsUnspaced(phrase) && UNSPACED_SCRIPT.test(word[0]);
+    return unspaced ? phrase + word : `${phrase} ${word}`;
+  }, "");
+}
+
+/**
+ * Rounds a score to four decimal places for stable, readable output
+ * @param {number} score - Raw score
+ * @returns {number} Rounded score
+ */
+function roundScore(score) {
+  return Math.round(score * 10000) / 10000;
+}
+
+module.exports = {
+  splitPunctuation,
+  joinWords,
+  roundScore,
+};
@@ -0,0 +1,275 @@
+const { splitPunctuation, joinWords, roundScore } = require("./utils");
+
+/**
+ * Splits sentences into chunks of words, breaking at punctuation so that
+ * candidates never span a comma or bracket
+ * @param {string[][]} sentences - Tokens of each sentence
+ * @returns {Array<Array<Array<string>>>} Chunks of words per sentence
+ */
+function chunkSentences(sentences) {
+  return sentences.map((tokens) => {
+    const chunks = [];
+    let chunk = [];
+    const endChunk = () => {
+      if (chunk.length) chunks.push(chunk);
+      chunk = [];
+    };
+
+    tokens.forEach((token) => {
+      const { leading, word, trailing } = splitPunctuation(token);
+      if (leading) endChunk();
+      if (word) chunk.push(word);
+      if (trailing) endChunk();
+    });
+    endChunk();
+
+    return chunks;
+  });
+}
+
+/**
+ * Checks whether the Levenshtein similarity of two strings,
+ * 1 - distance / longer length, is above a threshold. Only distances up to
+ * the largest one the threshold allows are computed, along the diagonal.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} threshold - Similarity threshold
+ * @returns {boolean} Whether the strings are near duplicates
+ */
+function isSimilar(a, b, threshold) {
+  if (a === b) return true;
+  const longer = Math.max(a.length, b.length);
+  const isCloseEnough = (distance) => 1 - distance / longer > threshold;
+  let max = -1;
+  while (max < longer && isCloseEnough(max + 1)) max++;
+  if (Math.abs(a.length - b.length) > max) return false;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) =>
+    j <= max ? j : Infinity,
+  );
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(Infinity);
+    if (i <= max) current[0] = i;
+    let best = current[0];
+    const last = Math.min(b.length, i + max);
+    for (let j = Math.max(1, i - max); j <= last; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      best = Math.min(best, current[j]);
+    }
+    // Distances never decrease from one row to the next
+    if (best > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+}
+
+/**
+ * Computes the YAKE feature score of every non stop word term. Lower scores
+ * mark more important terms.
+ * @param {Array<Array<Array<string>>>} chunked - Chunks of words per sentence
+ * @param {function(string): boolean} isStopWord - Stop word check
+ * @param {number} window - Context window for relatedness, in words
+ * @returns {{scores: Map<string, number>, counts: Map<string, number>, bigrams: Map<string, number>}} Score per lowercase term, with term and bigram counts
+ */
+function termScores(chunked, isStopWord, window) {
+  const stats = new Map();
+  const bigrams = new Map();
+  const statsFor = (key) => {
+    if (!stats.has(key)) {
+      stats.set(key, {
+        tf: 0,
+        upper: 0,
+        acronym: 0,
+        sentences: [],
+        left: [],
+        right: [],
+      });
+    }
+    return stats.get(key);
+  };
+
+  chunked.forEach((chunks, sentenceIndex) => {
+    let positionInSentence = 0;
+    chunks.forEach((chunk) => {
+      chunk.forEach((word, i) => {
+        const key = word.toLowerCase();
+        const term = statsFor(key);
+        term.tf++;
+        term.sentences.push(sentenceIndex);
+        if (i > 0) {
+          const bigram = `${chunk[i - 1].toLowerCase()} ${key}`;
+          bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+        if (word.length > 1 && word === word.toUpperCase() && /\D/.test(word)) {
+          term.acronym++;
+        } else if (positionInSentence > 0 && /^\p{Lu}/u.test(word)) {
+          term.upper++;
+        }
+
+        for (let j = Math.max(0, i - window); j < i; j++) {
+          const other = chunk[j].toLowerCase();
+          if (isStopWord(other)) continue;
+          term.left.push(other);
+          statsFor(other).right.push(key);
+        }
+        positionInSentence++;
+      });
+    });
+  });
+
+  const frequencies = Array.from(stats.entries())
+    .filter(([key]) => !isStopWord(key))
+    .map(([, term]) => term.tf);
+  const total = frequencies.length || 1;
+  const maxTf = Math.max(1, ...frequencies);
+  const meanTf = frequencies.reduce((sum, tf) => sum + tf, 0) / total;
+  const stdTf = Math.sqrt(
+    frequencies.reduce((sum, tf) => sum + (tf - meanTf) ** 2, 0) / total,
+  );
+  const sentenceCount = Math.max(1, chunked.length);
+
+  const scores = new Map();
+  const counts = new Map();
+  stats.forEach((term, key) => {
+    counts.set(key, term.tf);
+    if (isStopWord(key)) return;
+
+    const casing = Math.max(term.upper, term.acronym) / (1 + Math.log(term.tf));
+    const sorted = [...term.sentences].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const position = Math.log(Math.log(3 + median));
+    const frequency = term.tf / (meanTf + stdTf);
+    const dispersion = (context) =>
+      context.length ? new Set(context).size / context.length : 0;
+    const relatedness =
+      1 + (dispersion(term.left) + dispersion(term.right)) * (term.tf / maxTf);
+    const spread = new Set(term.sentences).size / sentenceCount;
+
+    scores.set(
+      key,
+      (relatedness * position) /
+        (casing + frequency / relatedness + spread / relatedness),
+    );
+  });
+
+  return { scores, counts, bigrams };
+}
+
+/**
+ * YAKE (Yet Another Keyword Extractor) style unsupervised keyword extraction
+ * for a single document. Terms are scored from casing, position, frequency,
+ * context relatedness and sentence spread, then combined into n-gram
+ * candidates that neither start nor end with a stop word. Near-duplicate
+ * candidates are suppressed.
+ *
+ * YAKE scores are lower for better keywords; the returned score is
+ * 1 / (1 + yakeScore) so that, like the other modes, higher is better.
+ * @param {string[][]} sentences - Tokens of each sentence of the document
+ * @param {function(string): boolean} isStopWord - Stop word check
+ * @param {Object} [options] - YAKE options
+ * @param {number} [options.maxWords=3] - Longest n-gram to consider
+ * @param {number} [options.window=1] - Context window for relatedness, in words
+ * @param {number} [options.dedupThreshold=0.9] - Similarity above which a candidate is a near duplicate
+ * @param {number} [options.limit] - Maximum number of keywords to return
+ * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+ */
+function yake(sentences, isStopWord, options = {}) {
+  const { maxWords = 3, window = 1, dedupThreshold = 0.9, limit } = options;
+
+  const chunked = chunkSentences(sentences);
+  const { scores, counts, bigrams } = termScores(chunked, isStopWord, window);
+
+  const candidates = new Map();
+  chunked.forEach((chunks) => {
+    chunks.forEach((chunk) => {
+      for (let i = 0; i < chunk.length; i++) {
+        for (let n = 1; n <= maxWords && i + n <= chunk.length; n++) {
+          const words = chunk.slice(i, i + n);
+          const first = words[0];
+          const last = words[words.length - 1];
+          if (
+            isStopWord(first) ||
+            isStopWord(last) ||
+            words.some((word) => /^\d+$/.test(word))
+          ) {
+            continue;
+          }
+
+          const key = words.join(" ").toLowerCase();
+          const candidate = candidates.get(key);
+          if (candidate) {
+            candidate.tf++;
+          } else {
+            candidates.set(key, { keyword: joinWords(words), words, tf: 1 });
+          }
+        }
+      }
+    });
+  });
+
+  const ranked = Array.from(candidates.entries())
+    .map(([key, { keyword, words, tf }]) => {
+      let product = 1;
+      let sum = 0;
+      words.forEach((word, i) => {
+        const lower = word.toLowerCase();
+        const score = scores.get(lower);
+        if (score !== undefined) {
+          product *= score;
+          sum += score;
+          return;
+        }
+
+        // Stop words inside a candidate ("bill of rights") are penalized
+        // unless they reliably join their neighbours
+        const previous = words[i - 1].toLowerCase();
+        const next = words[i + 1].toLowerCase();
+        const joined =
+          ((bigrams.get(`${previous} ${lower}`) || 0) / counts.get(previous)) *
+          ((bigrams.get(`${lower} ${next}`) || 0) / counts.get(lower));
+        product *= 2 - joined;
+        sum -= 1 - joined;
+      });
+      return { key, keyword, yakeScore: product / (tf * (1 + sum)) };
+    })
+    .sort((a, b) => a.yakeScore - b.yakeScore);
+
+  // Selected keys by length: near duplicates differ in length by less than
+  // the distance the threshold allows, so only close lengths are compared
+  const selected = [];
+  const byLength = new Map();
+  for (const candidate of ranked) {
+    if (limit !== undefined && selected.length >= limit) break;
+    const { length } = candidate.key;
+    const shortest =
+      dedupThreshold > 0 ? Math.floor(length * dedupThreshold) : 0;
+    const longest =
+      dedupThreshold > 0 ? Math.ceil(length / dedupThreshold) : Infinity;
+    let duplicate = false;
+    for (const [otherLength, keys] of byLength) {
+      if (otherLength < shortest || otherLength > longest) continue;
+      if (keys.some((key) => isSimilar(key, candidate.key, dedupThreshold))) {
+        duplicate = true;
+        break;
+      }
+    }
+    if (duplicate) continue;
+
+    selected.push(candidate);
+    if (!byLength.has(length)) byLength.set(length, []);
+    byLength.get(length).push(candidate.key);
+  }
+
+  return selected.map(({ keyword, yakeScore }) => ({
+    keyword,
+    score: roundScore(1 / (1 + yakeScore)),
+  }));
+}
+
+module.exports = {
+  yake,
+};
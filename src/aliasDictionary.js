@@ -0,0 +1,139 @@
+/**
+ * Normalizes a keyword for alias lookup: case folded, without possessives,
+ * punctuation at either end or repeated spaces, so "Apple Inc." and
+ * "apple inc" match
+ * @param {string} text - Keyword or alias
+ * @returns {string} Lookup key
+ */
+function aliasKey(text) {
+  return text
+    .toLowerCase()
+    .replace(/['’]s(?![\p{L}\p{M}\p{N}])/gu, "")
+    .replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Compiles a pattern so it matches whole keywords only
+ * @param {RegExp} pattern - Pattern
+ * @returns {RegExp} Anchored pattern
+ */
+function anchorPattern(pattern) {
+  return new RegExp(
+    `^(?:${pattern.source})$`,
+    pattern.flags.replace(/[gy]/g, ""),
+  );
+}
+
+/**
+ * Canonical entities with their aliases ("Apple Inc.", "AAPL") and patterns,
+ * used to merge the keywords that name the same entity under one canonical
+ * keyword
+ * @class AliasDictionary
+ */
+class AliasDictionary {
+  /**
+   * Creates an alias dictionary
+   * @param {Object<string, string[]>|Array<{canonical: string, aliases?: string[], patterns?: Array<RegExp|string|{source: string, flags: string}>}>} [entries] - Aliases by canonical name, or entries as written by toJSON
+   * @throws {Error} When an entry is invalid
+   */
+  constructor(entries = {}) {
+    this.entries = new Map();
+    this.aliases = new Map();
+
+    if (Array.isArray(entries)) {
+      entries.forEach(({ canonical, aliases = [], patterns = [] }) =>
+        this.add(
+          canonical,
+          aliases,
+          patterns.map((pattern) =>
+            pattern instanceof RegExp || typeof pattern === "string"
+              ? pattern
+              : new RegExp(pattern.source, pattern.flags),
+          ),
+        ),
+      );
+    } else {
+      Object.entries(entries).forEach(([canonical, aliases]) =>
+        this.add(canonical, aliases),
+      );
+    }
+  }
+
+  /**
+   * Registers a canonical entity, or more aliases and patterns for one
+   * @param {string} canonical - Name keywords are merged under
+   * @param {Iterable<string>} [aliases] - Other names of the entity
+   * @param {Iterable<RegExp|string>} [patterns] - Patterns matching whole keywords that name the entity
+   * @returns {AliasDictionary} This dictionary
+   * @throws {Error} When the canonical name is empty or a pattern is invalid
+   */
+  add(canonical, aliases = [], patterns = []) {
+    if (typeof canonical !== "string" || !aliasKey(canonical)) {
+      throw new Error("Canonical name must be a non-empty string");
+    }
+    if (!this.entries.has(canonical)) {
+      this.entries.set(canonical, { aliases: [], patterns: [], matchers: [] });
+      this.aliases.set(aliasKey(canonical), canonical);
+    }
+    const entry = this.entries.get(canonical);
+
+    for (const alias of aliases) {
+      if (!entry.aliases.includes(alias)) entry.aliases.push(alias);
+      this.aliases.set(aliasKey(alias), canonical);
+    }
+    for (let pattern of patterns) {
+      if (typeof pattern === "string") pattern = new RegExp(pattern, "u");
+      if (!(pattern instanceof RegExp)) {
+        throw new Error(
+          "Alias patterns must be regular expressions or strings",
+        );
+      }
+      entry.patterns.push(pattern);
+      entry.matchers.push(anchorPattern(pattern));
+    }
+    return this;
+  }
+
+  /**
+   * Finds the canonical name of a keyword. Aliases match ignoring case,
+   * possessives and surrounding punctuation; patterns must match the whole
+   * keyword.
+   * @param {string} keyword - Keyword to look up
+   * @returns {string|null} The canonical name, or null when the keyword is not known
+   */
+  resolve(keyword) {
+    const key = aliasKey(keyword);
+    if (this.aliases.has(key)) return this.aliases.get(key);
+
+    for (const [canonical, { matchers }] of this.entries) {
+      if (matchers.some((matcher) => matcher.test(keyword))) return canonical;
+    }
+    return null;
+  }
+
+  /**
+   * Gets the names registered for a canonical entity
+   * @param {string} canonical - Canonical name
+   * @returns {string[]} The canonical name followed by its aliases, or an empty array when it is not registered
+   */
+  getForms(canonical) {
+    const entry = this.entries.get(canonical);
+    return entry ? [canonical, ...entry.aliases] : [];
+  }
+
+  /**
+   * Serializes the dictionary, for instance to send it to worker threads
+   * @returns {Array<{canonical: string, aliases: string[], patterns: Array<{source: string, flags: string}>}>} Entries accepted by the constructor
+   */
+  toJSON() {
+    return Array.from(this.entries, ([canonical, { aliases, patterns }]) => ({
+      canonical,
+      aliases: [...aliases],
+      patterns: patterns.map(({ source, flags }) => ({ source, flags })),
+    }));
+  }
+}
+
+module.exports = AliasDictionary;
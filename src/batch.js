@@ -0,0 +1,198 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const KeywordExtractor = require("./keywordExtractor");
+
+/**
+ * Script run by each worker thread
+ * @type {string}
+ */
+const WORKER_PATH = path.join(__dirname, "batchWorker.js");
+
+/**
+ * Extracts the keywords of one batch document
+ * @param {string|{id?: *, content: string, title?: string}} document - Text, or an object with content and an optional title
+ * @param {Object} options - KeywordExtractor and extractKeywords options
+ * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+ * @throws {Error} When the document is invalid or extraction fails
+ */
+function extractDocument(document, options) {
+  const { content, title = "" } =
+    typeof document === "string" ? { content: document } : document || {};
+  if (typeof content !== "string") {
+    throw new Error(
+      "Document must be a string or an object with a content string",
+    );
+  }
+  return new KeywordExtractor(content, title, options).extractKeywords(options);
+}
+
+/**
+ * Gets the id reported for a document
+ * @param {*} document - Batch document
+ * @param {number} index - Position of the document in the batch
+ * @returns {*} The document's id, or its index
+ */
+function documentId(document, index) {
+  return document && document.id !== undefined ? document.id : index;
+}
+
+/**
+ * Number of worker threads used by default: one per CPU, leaving one for the
+ * main thread
+ * @returns {number} Pool size
+ */
+function defaultConcurrency() {
+  const cpus = os.availableParallelism
+    ? os.availableParallelism()
+    : os.cpus().length;
+  return Math.max(1, cpus - 1);
+}
+
+/**
+ * Extracts keywords from many documents in parallel on a pool of worker
+ * threads. Results keep the order of the input, and a document that fails
+ * is reported in the error list without stopping the others.
+ * @param {Array<string|{id?: *, content: string, title?: string}>} documents - Texts, or objects with content, an optional title and an optional id
+ * @param {Object} [options] - KeywordExtractor and extractKeywords options (language, algorithm, limit, corpus, aliases, ...), plus:
+ * @param {number} [options.concurrency] - Number of worker threads, one less than the number of CPUs (at least 1) by default; 0 runs in the calling thread
+ * @param {function({completed: number, total: number, failed: number, index: number}): void} [options.onProgress] - Called after each document
+ * @returns {Promise<{results: Array<{id: *, keywords: Array<{keyword: string, score: number}>|null}>, errors: Array<{index: number, id: *, message: string}>}>} Results in input order (keywords are null for failed documents) and the failures
+ * @throws {Error} When documents is not an array or the options cannot be sent to workers
+ */
+async function extractBatch(documents, options = {}) {
+  if (!Array.isArray(documents)) {
+    throw new Error("Documents must be an array");
+  }
+  const {
+    concurrency = defaultConcurrency(),
+    onProgress,
+    ...extractOptions
+  } = options;
+  if (!Number.isInteger(concurrency) || concurrency < 0) {
+    throw new Error("concurrency must be a non-negative integer");
+  }
+
+  const total = documents.length;
+  const results = new Array(total);
+  const errors = [];
+  let completed = 0;
+
+  const settle = (index, keywords, message) => {
+    const id = documentId(documents[index], index);
+    results[index] = { id, keywords: message === undefined ? keywords : null };
+    if (message !== undefined) errors.push({ index, id, message });
+    completed++;
+    if (onProgress) {
+      onProgress({ completed, total, failed: errors.length, index });
+    }
+  };
+
+  if (concurrency === 0) {
+    documents.forEach((document, index) => {
+      try {
+        settle(index, extractDocument(document, extractOptions));
+      } catch (error) {
+        settle(index, null, error.message);
+      }
+    });
+  } else {
+    await runPool(documents, extractOptions, concurrency, settle);
+  }
+
+  errors.sort((a, b) => a.index - b.index);
+  return { results, errors };
+}
+
+/**
+ * Runs extraction for every document on a pool of worker threads. Each
+ * worker takes the next document as soon as it finishes one; a worker that
+ * crashes fails its current document and is replaced.
+ * @private
+ * @param {Array<*>} documents - Batch documents
+ * @param {Object} options - Extraction options
+ * @param {number} size - Number of workers
+ * @param {function(number, Array<Object>=, string=): void} settle - Records a document's result or error message
+ * @returns {Promise<void>} Resolves when every document is settled
+ * @throws {Error} When the options cannot be sent to workers
+ */
+function runPool(documents, options, size, settle) {
+  const { corpus, aliases, ...rest } = options;
+  Object.entries(rest).forEach(([key, value]) => {
+    if (typeof value === "function") {
+      throw new Error(
+        `Option ${key} is a function, which cannot be sent to worker threads; use concurrency: 0`,
+      );
+    }
+  });
+  const workerData = {
+    // Alias dictionaries are sent as the entries their constructor accepts
+    options: aliases
+      ? { ...rest, aliases: aliases.toJSON ? aliases.toJSON() : aliases }
+      : rest,
+    corpus: corpus ? corpus.toJSON() : null,
+  };
+
+  return new Promise((resolve) => {
+    let next = 0;
+    let active = 0;
+
+    const startWorker = () => {
+      const worker = new Worker(WORKER_PATH, { workerData });
+      let current = null;
+      active++;
+
+      const dispatch = () => {
+        while (next < documents.length) {
+          const index = next++;
+          try {
+            worker.postMessage({ index, document: documents[index] });
+            current = index;
+            return;
+          } catch (error) {
+            // Documents that cannot be cloned fail on their own
+            settle(index, null, error.message);
+          }
+        }
+        current = null;
+        worker.terminate();
+      };
+
+      worker.on("message", ({ index, keywords, message }) => {
+        settle(index, keywords, message);
+        dispatch();
+      });
+      worker.on("error", (error) => {
+        if (current !== null) settle(current, null, error.message);
+        current = null;
+      });
+      worker.on("exit", (code) => {
+        if (current !== null) {
+          settle(current, null, `Worker stopped with exit code ${code}`);
+          current = null;
+        }
+        active--;
+        if (next < documents.length) {
+          startWorker();
+        } else if (active === 0) {
+          resolve();
+        }
+      });
+
+      dispatch();
+    };
+
+    if (!documents.length) {
+      resolve();
+      return;
+    }
+    for (let i = 0; i < Math.min(size, documents.length); i++) {
+      startWorker();
+    }
+  });
+}
+
+module.exports = {
+  extractBatch,
+  extractDocument,
+};
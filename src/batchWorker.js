@@ -0,0 +1,19 @@
+const { parentPort, workerData } = require("worker_threads");
+const Corpus = require("./corpus");
+const { extractDocument } = require("./batch");
+
+const options = { ...workerData.options };
+if (workerData.corpus) {
+  options.corpus = Corpus.fromJSON(workerData.corpus);
+}
+
+parentPort.on("message", ({ index, document }) => {
+  try {
+    parentPort.postMessage({
+      index,
+      keywords: extractDocument(document, options),
+    });
+  } catch (error) {
+    parentPort.postMessage({ index, message: error.message });
+  }
+});
@@ -0,0 +1,434 @@
+const fs = require("fs");
+const path = require("path");
+const KeywordExtractor = require("./keywordExtractor");
+const { getLanguages, normalizeLanguage } = require("./languages");
+const { version } = require("../package.json");
+
+/**
+ * Exit codes returned by run
+ * @type {{OK: number, ERROR: number, USAGE: number, UNREADABLE: number}}
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  UNREADABLE: 3,
+};
+
+const METHODS = ["all", "proper-nouns", "frequency", "title"];
+const FORMATS = ["text", "html", "markdown"];
+const OUTPUTS = ["table", "json", "ndjson", "csv"];
+
+const USAGE = `Usage: text-keyword-extractor [options] [file|glob|-]...
+
+Extracts keywords from files, glob patterns ("docs/**/*.md") or stdin.
+
+Options:
+  -t, --title <title>          Title used for context
+  -n, --top <N>                Number of keywords per document (default: 10)
+  -m, --method <method>        all, proper-nouns, frequency or title (default: all)
+  -l, --language <code>        Language of the stop word list (default: en)
+  -f, --format <format>        Input format: text, html or markdown (default: text)
+      --stop-words <file>      Replace the stop word list with the words in a file
+      --extra-stop-words <w,…> Additional stop words, comma separated
+      --keep-words <w,…>       Stop words to keep, comma separated
+  -o, --output <format>        table, json, ndjson or csv (default: table)
+  -h, --help                   Show this help
+  -v, --version                Show the version
+
+Exit codes: 0 success, 1 extraction error, 2 usage error, 3 unreadable input`;
+
+/**
+ * Options that take a value, by flag
+ * @type {Object<string, string>}
+ */
+const VALUE_FLAGS = {
+  "-t": "title",
+  "--title": "title",
+  "-n": "top",
+  "--top": "top",
+  "-m": "method",
+  "--method": "method",
+  "-l": "language",
+  "--language": "language",
+  "-f": "format",
+  "--format": "format",
+  "--stop-words": "stopWords",
+  "--extra-stop-words": "extraStopWords",
+  "--keep-words": "keepWords",
+  "-o": "output",
+  "--output": "output",
+};
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {{inputs: string[], title: string, top: number, method: string, language?: string, format: string, stopWords?: string, extraStopWords: string[], keepWords: string[], output: string, help: boolean, version: boolean}} Parsed options
+ * @throws {Error} When an argument is invalid
+ */
+function parseArgs(argv) {
+  const options = {
+    inputs: [],
+    title: "",
+    top: 10,
+    method: "all",
+    format: "text",
+    extraStopWords: [],
+    keepWords: [],
+    output: "table",
+    help: false,
+    version: false,
+  };
+  const list = (value) =>
+    value
+      .split(",")
+      .map((word) => word.trim())
+      .filter(Boolean);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith("--") ? arg.split(/=(.*)/s) : [arg];
+
+    if (flag === "-h" || flag === "--help") {
+      options.help = true;
+    } else if (flag === "-v" || flag === "--version") {
+      options.version = true;
+    } else if (flag === "--") {
+      options.inputs.push(...argv.slice(i + 1));
+      break;
+    } else if (VALUE_FLAGS[flag]) {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      const key = VALUE_FLAGS[flag];
+      if (key === "extraStopWords" || key === "keepWords") {
+        options[key].push(...list(value));
+      } else {
+        options[key] = value;
+      }
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+
+  options.top = Number(options.top);
+  if (!Number.isInteger(options.top) || options.top < 1) {
+    throw new Error("--top must be a positive integer");
+  }
+  if (!METHODS.includes(options.method)) {
+    throw new Error(
+      `Unknown method: ${options.method} (expected one of ${METHODS.join(", ")})`,
+    );
+  }
+  // A stop word file replaces the language's list, so any language works then
+  if (
+    options.language !== undefined &&
+    !options.stopWords &&
+    !getLanguages().includes(normalizeLanguage(options.language))
+  ) {
+    throw new Error(
+      `Unsupported language: ${options.language} (expected one of ${getLanguages().join(", ")})`,
+    );
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(
+      `Unknown format: ${options.format} (expected one of ${FORMATS.join(", ")})`,
+    );
+  }
+  if (!OUTPUTS.includes(options.output)) {
+    throw new Error(
+      `Unknown output format: ${options.output} (expected one of ${OUTPUTS.join(", ")})`,
+    );
+  }
+  return options;
+}
+
+/**
+ * Converts a glob pattern to a regular expression. Supports "*" and "?"
+ * within a path segment and "**" across segments.
+ * @param {string} pattern - Glob pattern using "/" as separator
+ * @returns {RegExp} Pattern matching whole paths
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:[^/]*/)*" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists the files under a directory, recursively
+ * @param {string} directory - Directory to walk
+ * @returns {string[]} File paths
+ */
+function walk(directory) {
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+  return entries.flatMap((entry) => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return walk(entryPath);
+    return entry.isFile() ? [entryPath] : [];
+  });
+}
+
+/**
+ * Expands a glob pattern to the matching files, sorted by path
+ * @param {string} pattern - Glob pattern, or a plain file path
+ * @returns {string[]} Matching file paths, or the pattern itself when it has no wildcards
+ */
+function expandGlob(pattern) {
+  if (!/[*?]/.test(pattern)) return [pattern];
+
+  const normalized = pattern.split(path.sep).join("/");
+  const segments = normalized.split("/");
+  const firstWildcard = segments.findIndex((segment) => /[*?]/.test(segment));
+  const base = segments.slice(0, firstWildcard).join("/") || ".";
+  const matcher = globToRegExp(normalized.replace(/^\.\//, ""));
+
+  return walk(base)
+    .filter((file) =>
+      matcher.test(file.split(path.sep).join("/").replace(/^\.\//, "")),
+    )
+    .sort();
+}
+
+/**
+ * Reads a stream to the end
+ * @param {NodeJS.ReadableStream} stream - Stream to read
+ * @returns {Promise<string>} Contents as UTF-8
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Extracts keywords from one document with the selected method
+ * @param {string} content - Document text
+ * @param {Object} options - Parsed command-line options
+ * @param {Object} extractorOptions - KeywordExtractor options
+ * @returns {Array<Object>} Keyword rows, each with a keyword and an optional score or frequency
+ */
+function extract(content, options, extractorOptions) {
+  const extractor = new KeywordExtractor(
+    content,
+    options.title,
+    extractorOptions,
+  );
+
+  switch (options.method) {
+    case "proper-nouns":
+      return extractor
+        .findProperNouns()
+        .slice(0, options.top)
+        .map((keyword) => ({ keyword }));
+    case "frequency":
+      return extractor
+        .findHighFrequencyKeywords(options.top)
+        .slice(0, options.top)
+        .map(({ word, frequency }) => ({ keyword: word, frequency }));
+    case "title":
+      return (extractor.findContextFromTitle() || [])
+        .slice(0, options.top)
+        .map((keyword) => ({ keyword }));
+    default:
+      return extractor.extractKeywords({
+        limit: options.top,
+        occurrences: false,
+      });
+  }
+}
+
+/**
+ * Quotes a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats extraction results
+ * @param {Array<{file: string, keywords: Array<Object>}>} documents - Results per document
+ * @param {string} output - table, json, ndjson or csv
+ * @returns {string} Formatted output, ending with a newline
+ */
+function formatResults(documents, output) {
+  if (output === "json") {
+    return `${JSON.stringify(documents, null, 2)}\n`;
+  }
+
+  const rows = documents.flatMap(({ file, keywords }) =>
+    keywords.map((keyword, i) => ({ file, rank: i + 1, ...keyword })),
+  );
+  if (output === "ndjson") {
+    return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+  }
+
+  const columns = ["file", "rank", "keyword"];
+  if (rows.some((row) => "score" in row)) columns.push("score");
+  if (rows.some((row) => "frequency" in row)) columns.push("frequency");
+
+  if (output === "csv") {
+    return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+      .map((fields) => `${fields.map(csvField).join(",")}\n`)
+      .join("");
+  }
+
+  const cells = [
+    columns,
+    ...rows.map((row) =>
+      columns.map((c) => (row[c] === undefined ? "" : String(row[c]))),
+    ),
+  ];
+  const widths = columns.map((_, i) =>
+    Math.max(...cells.map((line) => line[i].length)),
+  );
+  return cells
+    .map(
+      (line) =>
+        `${line
+          .map((cell, i) => cell.padEnd(widths[i]))
+          .join("  ")
+          .trimEnd()}\n`,
+    )
+    .join("");
+}
+
+/**
+ * Runs the command-line tool
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Streams to use instead of the process streams
+ * @param {NodeJS.ReadableStream} [io.stdin] - Input stream
+ * @param {NodeJS.WritableStream} [io.stdout] - Output stream
+ * @param {NodeJS.WritableStream} [io.stderr] - Error stream
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+async function run(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = io;
+  const fail = (message, exitCode) => {
+    stderr.write(`text-keyword-extractor: ${message}\n`);
+    return exitCode;
+  };
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    fail(error.message, EXIT_CODES.USAGE);
+    stderr.write(`${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+  if (options.version) {
+    stdout.write(`${version}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  const inputs = options.inputs.length ? options.inputs : ["-"];
+  if (!options.inputs.length && stdin.isTTY) {
+    stderr.write(`${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let exitCode = EXIT_CODES.OK;
+  const extractorOptions = {
+    language: options.language,
+    format: options.format,
+    extraStopWords: options.extraStopWords,
+    keepWords: options.keepWords,
+  };
+  if (options.stopWords) {
+    try {
+      extractorOptions.stopWords = fs
+        .readFileSync(options.stopWords, "utf8")
+        .split(/\r?\n/)
+        .map((word) => word.trim())
+        .filter((word) => word && !word.startsWith("#"));
+    } catch (error) {
+      return fail(
+        `cannot read stop words ${options.stopWords}: ${error.message}`,
+        EXIT_CODES.UNREADABLE,
+      );
+    }
+  }
+
+  const documents = [];
+  for (const input of inputs) {
+    const files = input === "-" ? ["-"] : expandGlob(input);
+    if (!files.length) {
+      exitCode = fail(`no files match ${input}`, EXIT_CODES.UNREADABLE);
+    }
+
+    for (const file of files) {
+      let content;
+      try {
+        content =
+          file === "-"
+            ? await readStream(stdin)
+            : await fs.promises.readFile(file, "utf8");
+      } catch (error) {
+        exitCode = fail(
+          `cannot read ${file}: ${error.message}`,
+          EXIT_CODES.UNREADABLE,
+        );
+        continue;
+      }
+
+      // A document that fails does not discard the others
+      try {
+        documents.push({
+          file: file === "-" ? "<stdin>" : file,
+          keywords: extract(content, options, extractorOptions),
+        });
+      } catch (error) {
+        exitCode = fail(`${file}: ${error.message}`, EXIT_CODES.ERROR);
+      }
+    }
+  }
+
+  if (documents.length) {
+    stdout.write(formatResults(documents, options.output));
+  }
+  return exitCode;
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  expandGlob,
+  formatResults,
+  run,
+};
@@ -0,0 +1,561 @@
+const zlib = require("zlib");
+const KeywordExtractor = require("./keywordExtractor");
+const { roundScore } = require("./algorithms/utils");
+
+/**
+ * Counts how often each term occurs
+ * @param {string[]} terms - Terms of a document
+ * @returns {Map<string, number>} Occurrences per term
+ */
+function countTerms(terms) {
+  const counts = new Map();
+  terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Identifies serialized corpus data
+ * @type {string}
+ */
+const FORMAT = "text-keyword-extractor/corpus";
+
+/**
+ * Version of the serialized corpus format written by toJSON. Version 2 adds
+ * the optional casing counts; version 1 data has none and still loads.
+ * @type {number}
+ */
+const FORMAT_VERSION = 2;
+
+/**
+ * Throws a validation error for corrupt corpus data
+ * @param {string} message - What is wrong with the data
+ * @throws {Error} Always
+ */
+function invalid(message) {
+  throw new Error(`Invalid corpus data: ${message}`);
+}
+
+/**
+ * Checks that a value is an array of non-negative integers
+ * @param {*} value - Value to check
+ * @returns {boolean} True when valid
+ */
+function isCountArray(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((count) => Number.isInteger(count) && count >= 0)
+  );
+}
+
+/**
+ * KeywordExtractor options that change the terms extracted from a document,
+ * saved with the statistics so a loaded corpus tokenizes text the same way
+ * @type {string[]}
+ */
+const TERM_OPTIONS = [
+  "language",
+  "locale",
+  "normalization",
+  "format",
+  "stopWords",
+  "extraStopWords",
+  "keepWords",
+  "segmenter",
+  "dictionary",
+];
+
+/**
+ * Converts the extractor options that change terms to plain JSON values
+ * @param {Object} options - KeywordExtractor options
+ * @returns {Object} Serializable options
+ * @throws {Error} When one of them is a function, which cannot be saved
+ */
+function serializeOptions(options) {
+  const serialized = {};
+  TERM_OPTIONS.forEach((key) => {
+    const value = options[key];
+    if (value === undefined) return;
+    if (typeof value === "function") {
+      throw new Error(`Cannot serialize a corpus with a custom ${key}`);
+    }
+    serialized[key] =
+      typeof value === "string" || typeof value === "boolean"
+        ? value
+        : Array.from(value);
+  });
+  return serialized;
+}
+
+/**
+ * Converts casing counts to parallel arrays
+ * @param {Map<string, {capitalized: number, lowercase: number}>} casing - Casing counts by word
+ * @param {Array<string|number>} words - The words of the counts, in map order, or their indexes in the corpus word list
+ * @returns {{words: Array<string|number>, capitalized: number[], lowercase: number[]}} Serialized counts
+ */
+function serializeCasing(casing, words) {
+  return {
+    words,
+    capitalized: Array.from(casing.values(), (count) => count.capitalized),
+    lowercase: Array.from(casing.values(), (count) => count.lowercase),
+  };
+}
+
+/**
+ * Checks serialized casing counts
+ * @param {*} casing - Serialized counts
+ * @param {function(*): boolean} isWord - Checks an entry of the word list
+ * @returns {boolean} True when valid
+ */
+function isCasingData(casing, isWord) {
+  return (
+    !!casing &&
+    Array.isArray(casing.words) &&
+    casing.words.every(isWord) &&
+    isCountArray(casing.capitalized) &&
+    isCountArray(casing.lowercase) &&
+    casing.capitalized.length === casing.words.length &&
+    casing.lowercase.length === casing.words.length
+  );
+}
+
+/**
+ * Rebuilds casing counts from parallel arrays
+ * @param {{words: string[], capitalized: number[], lowercase: number[]}} casing - Serialized counts
+ * @returns {Map<string, {capitalized: number, lowercase: number}>} Casing counts by word
+ */
+function deserializeCasing({ words, capitalized, lowercase }) {
+  return new Map(
+    words.map((word, i) => [
+      word,
+      { capitalized: capitalized[i], lowercase: lowercase[i] },
+    ]),
+  );
+}
+
+/**
+ * A collection of documents whose document frequencies are used to weight
+ * keywords by TF-IDF or BM25, so terms common to every document rank lower
+ * @class Corpus
+ */
+class Corpus {
+  /**
+   * Creates an empty corpus
+   * @param {Object} [options] - KeywordExtractor options (language, stop words) used to tokenize documents
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.documents = new Map();
+    this.documentCount = 0;
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+    this.nextId = 0;
+    this.casing = new Map();
+  }
+
+  /**
+   * Number of documents in the corpus
+   * @type {number}
+   */
+  get size() {
+    return this.documentCount;
+  }
+
+  /**
+   * Extracts the normalized terms of a text with the corpus options
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Terms of the text
+   */
+  terms(text) {
+    return new KeywordExtractor(text, "", this.options).extractTerms();
+  }
+
+  /**
+   * Adds a document to the corpus
+   * @param {string} text - Document content
+   * @param {string|number} [id] - Document id, generated when omitted
+   * @returns {string|number} The document id
+   * @throws {Error} When a document with the same id already exists
+   */
+  addDocument(text, id) {
+    if (id === undefined) {
+      do {
+        id = this.nextId++;
+      } while (this.documents.has(id));
+    } else if (this.documents.has(id)) {
+      throw new Error(`Document already exists: ${id}`);
+    }
+
+    const extractor = new KeywordExtractor(text, "", this.options);
+    const terms = extractor.extractTerms();
+    const termFrequency = countTerms(terms);
+    const casing = extractor.findCasing();
+    this.addCasing(casing, 1);
+    termFrequency.forEach((_, term) => {
+      this.documentFrequency.set(
+        term,
+        (this.documentFrequency.get(term) || 0) + 1,
+      );
+    });
+    this.documents.set(id, { termFrequency, length: terms.length, casing });
+    this.documentCount++;
+    this.totalLength += terms.length;
+
+    return id;
+  }
+
+  /**
+   * Removes a document from the corpus
+   * @param {string|number} id - Document id
+   * @returns {boolean} True when the document existed
+   */
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    document.termFrequency.forEach((_, term) => {
+      const frequency = this.documentFrequency.get(term) - 1;
+      if (frequency > 0) {
+        this.documentFrequency.set(term, frequency);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    });
+    if (document.casing) this.addCasing(document.casing, -1);
+    this.documents.delete(id);
+    this.documentCount--;
+    this.totalLength -= document.length;
+
+    return true;
+  }
+
+  /**
+   * Adds or subtracts a document's casing counts
+   * @private
+   * @param {Map<string, {capitalized: number, lowercase: number}>} casing - Casing counts of the document
+   * @param {number} sign - 1 to add, -1 to subtract
+   */
+  addCasing(casing, sign) {
+    casing.forEach(({ capitalized, lowercase }, word) => {
+      const count = this.casing.get(word) || { capitalized: 0, lowercase: 0 };
+      count.capitalized += sign * capitalized;
+      count.lowercase += sign * lowercase;
+      if (count.capitalized > 0 || count.lowercase > 0) {
+        this.casing.set(word, count);
+      } else {
+        this.casing.delete(word);
+      }
+    });
+  }
+
+  /**
+   * How often a word is capitalized and lowercase away from the start of
+   * sentences across the corpus, used for truecasing
+   * @param {string} word - Case-folded word
+   * @returns {{capitalized: number, lowercase: number}|null} Casing counts, or null when the word is not in the corpus
+   */
+  getCasing(word) {
+    const count = this.casing.get(word);
+    return count ? { ...count } : null;
+  }
+
+  /**
+   * Smoothed inverse document frequency of a term
+   * @param {string} term - Normalized term
+   * @param {string} [weighting="tfidf"] - "tfidf" or "bm25"
+   * @returns {number} Inverse document frequency
+   */
+  idf(term, weighting = "tfidf") {
+    const documentCount = this.size;
+    const frequency = this.documentFrequency.get(term) || 0;
+
+    if (weighting === "bm25") {
+      return Math.log(
+        1 + (documentCount - frequency + 0.5) / (frequency + 0.5),
+      );
+    }
+    return Math.log((1 + documentCount) / (1 + frequency)) + 1;
+  }
+
+  /**
+   * Scores the terms of a document against the corpus
+   * @param {Map<string, number>} termFrequency - Occurrences per term
+   * @param {number} length - Number of terms in the document
+   * @param {Object} [options] - Scoring options
+   * @param {string} [options.weighting="tfidf"] - "tfidf" or "bm25"
+   * @param {number} [options.k1=1.2] - BM25 term frequency saturation
+   * @param {number} [options.b=0.75] - BM25 length normalization
+   * @param {number} [options.limit] - Maximum number of keywords to return
+   * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+   * @throws {Error} When the weighting is unknown
+   */
+  scoreTerms(termFrequency, length, options = {}) {
+    const { weighting = "tfidf", k1 = 1.2, b = 0.75, limit } = options;
+
+    if (weighting !== "tfidf" && weighting !== "bm25") {
+      throw new Error(`Unknown weighting: ${weighting}`);
+    }
+
+    const averageLength = this.size ? this.totalLength / this.size : length;
+
+    const ranked = Array.from(termFrequency.entries())
+      .map(([term, count]) => {
+        const tf =
+          weighting === "bm25"
+            ? (count * (k1 + 1)) /
+              (count + k1 * (1 - b + (b * length) / (averageLength || 1)))
+            : count / (length || 1);
+        return {
+          keyword: term,
+          score: roundScore(tf * this.idf(term, weighting)),
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    return limit === undefined ? ranked : ranked.slice(0, limit);
+  }
+
+  /**
+   * Extracts keywords from a corpus document or from new text, weighted
+   * against the corpus
+   * @param {string|number} docIdOrText - Id of a document in the corpus, or text to score
+   * @param {Object} [options] - Scoring options (see scoreTerms)
+   * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+   * @throws {Error} When given an unknown id that is not text
+   */
+  extract(docIdOrText, options = {}) {
+    const document = this.documents.get(docIdOrText);
+    if (document) {
+      return this.scoreTerms(document.termFrequency, document.length, options);
+    }
+    if (typeof docIdOrText !== "string") {
+      throw new Error(`Unknown document: ${docIdOrText}`);
+    }
+
+    return this.extractFromTerms(this.terms(docIdOrText), options);
+  }
+
+  /**
+   * Extracts keywords from terms tokenized elsewhere, weighted against the
+   * corpus. The terms should be normalized like the corpus terms, for
+   * instance with KeywordExtractor#extractTerms.
+   * @param {string[]} terms - Terms of the document, in order
+   * @param {Object} [options] - Scoring options (see scoreTerms)
+   * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+   */
+  extractFromTerms(terms, options = {}) {
+    return this.scoreTerms(countTerms(terms), terms.length, options);
+  }
+
+  /**
+   * Serializes the corpus statistics. Terms and counts are stored as parallel
+   * arrays, which keeps the output compact and compresses well. Casing
+   * counts, used for truecasing, are written in an optional casing field.
+   * The extractor options that change terms (TERM_OPTIONS) are saved too.
+   * @param {Object} [options] - Serialization options
+   * @param {boolean} [options.includeDocuments=true] - Include per-document term counts, needed to remove or re-extract stored documents after loading
+   * @returns {Object} JSON-compatible corpus data
+   * @throws {Error} When the corpus uses a custom segmenter function, which cannot be saved
+   */
+  toJSON(options = {}) {
+    // JSON.stringify passes the property key as the first argument
+    const { includeDocuments = true } =
+      typeof options === "object" && options !== null ? options : {};
+
+    const terms = Array.from(this.documentFrequency.keys());
+    const data = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      options: serializeOptions(this.options),
+      documentCount: this.documentCount,
+      totalLength: this.totalLength,
+      nextId: this.nextId,
+      terms,
+      documentFrequency: terms.map((term) => this.documentFrequency.get(term)),
+    };
+
+    const words = Array.from(this.casing.keys());
+    if (words.length) {
+      data.casing = serializeCasing(this.casing, words);
+    }
+
+    if (includeDocuments) {
+      const index = new Map(terms.map((term, i) => [term, i]));
+      const wordIndex = new Map(words.map((word, i) => [word, i]));
+      data.documents = Array.from(this.documents.entries(), ([id, doc]) => ({
+        id,
+        length: doc.length,
+        terms: Array.from(doc.termFrequency.keys(), (term) => index.get(term)),
+        counts: Array.from(doc.termFrequency.values()),
+        ...(doc.casing &&
+          doc.casing.size && {
+            casing: serializeCasing(
+              doc.casing,
+              Array.from(doc.casing.keys(), (word) => wordIndex.get(word)),
+            ),
+          }),
+      }));
+    }
+
+    return data;
+  }
+
+  /**
+   * Serializes the corpus statistics to a gzip-compressed buffer
+   * @param {Object} [options] - Serialization options (see toJSON)
+   * @returns {Buffer} Compressed corpus data
+   * @throws {Error} When the corpus uses a custom segmenter function, which cannot be saved
+   */
+  toBuffer(options = {}) {
+    return zlib.gzipSync(JSON.stringify(this.toJSON(options)));
+  }
+
+  /**
+   * Loads a corpus from data produced by toJSON. Version 1 data, written
+   * before casing counts were stored, loads without them: casing fields are
+   * only accepted from version 2 on.
+   * @param {Object|string} data - Corpus data, or its JSON string
+   * @returns {Corpus} The loaded corpus
+   * @throws {Error} When the data is corrupt or from an incompatible format version
+   */
+  static fromJSON(data) {
+    if (typeof data === "string") {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        invalid(error.message);
+      }
+    }
+
+    if (!data || typeof data !== "object" || data.format !== FORMAT) {
+      invalid("not a serialized corpus");
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      invalid(`bad format version ${data.version}`);
+    }
+    if (data.version > FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported corpus format version ${data.version} (supports up to ${FORMAT_VERSION})`,
+      );
+    }
+
+    const {
+      options,
+      documentCount,
+      totalLength,
+      nextId,
+      terms,
+      documentFrequency,
+      documents,
+      casing,
+    } = data;
+
+    if (!options || typeof options !== "object") invalid("missing options");
+    try {
+      new KeywordExtractor("", "", options);
+    } catch (error) {
+      invalid(`bad options: ${error.message}`);
+    }
+    if (!isCountArray([documentCount, totalLength, nextId])) {
+      invalid("document counts must be non-negative integers");
+    }
+    if (
+      !Array.isArray(terms) ||
+      !terms.every((term) => typeof term === "string")
+    ) {
+      invalid("terms must be an array of strings");
+    }
+    if (
+      !isCountArray(documentFrequency) ||
+      documentFrequency.length !== terms.length ||
+      documentFrequency.some((count) => count > documentCount)
+    ) {
+      invalid("document frequencies do not match terms");
+    }
+
+    if (
+      data.version < 2 &&
+      (casing !== undefined ||
+        (Array.isArray(documents) &&
+          documents.some((doc) => doc && doc.casing !== undefined)))
+    ) {
+      invalid(`casing counts require format version 2, got ${data.version}`);
+    }
+    if (
+      casing !== undefined &&
+      !isCasingData(casing, (word) => typeof word === "string")
+    ) {
+      invalid("casing counts do not match words");
+    }
+
+    const corpus = new Corpus(options);
+    corpus.documentCount = documentCount;
+    corpus.totalLength = totalLength;
+    corpus.nextId = nextId;
+    terms.forEach((term, i) =>
+      corpus.documentFrequency.set(term, documentFrequency[i]),
+    );
+    if (casing) corpus.casing = deserializeCasing(casing);
+
+    if (documents !== undefined) {
+      if (!Array.isArray(documents) || documents.length > documentCount) {
+        invalid("documents must be an array no longer than documentCount");
+      }
+      documents.forEach((doc) => {
+        if (
+          !doc ||
+          (typeof doc.id !== "string" && typeof doc.id !== "number") ||
+          !isCountArray([doc.length]) ||
+          !isCountArray(doc.terms) ||
+          !isCountArray(doc.counts) ||
+          doc.terms.length !== doc.counts.length ||
+          doc.terms.some((i) => i >= terms.length) ||
+          (doc.casing !== undefined &&
+            (!casing ||
+              !isCasingData(
+                doc.casing,
+                (i) => Number.isInteger(i) && i >= 0 && i < casing.words.length,
+              )))
+        ) {
+          invalid("malformed document entry");
+        }
+        if (corpus.documents.has(doc.id)) {
+          invalid(`duplicate document id ${doc.id}`);
+        }
+        corpus.documents.set(doc.id, {
+          length: doc.length,
+          termFrequency: new Map(
+            doc.terms.map((i, j) => [terms[i], doc.counts[j]]),
+          ),
+          ...(doc.casing && {
+            casing: deserializeCasing({
+              ...doc.casing,
+              words: doc.casing.words.map((i) => casing.words[i]),
+            }),
+          }),
+        });
+      });
+    }
+
+    return corpus;
+  }
+
+  /**
+   * Loads a corpus from a buffer produced by toBuffer
+   * @param {Buffer} buffer - Compressed corpus data
+   * @returns {Corpus} The loaded corpus
+   * @throws {Error} When the data is corrupt or from an incompatible format version
+   */
+  static fromBuffer(buffer) {
+    let json;
+    try {
+      json = zlib.gunzipSync(buffer).toString("utf8");
+    } catch (error) {
+      invalid(error.message);
+    }
+    return Corpus.fromJSON(json);
+  }
+}
+
+Corpus.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = Corpus;
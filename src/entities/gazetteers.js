@@ -0,0 +1,140 @@
+// Bundled gazetteers of well-known names, lowercase, by entity type
+
+const PERSON = [
+  "barack obama",
+  "bill gates",
+  "donald trump",
+  "elon musk",
+  "emmanuel macron",
+  "jeff bezos",
+  "jensen huang",
+  "joe biden",
+  "mark zuckerberg",
+  "narendra modi",
+  "olaf scholz",
+  "sam altman",
+  "satya nadella",
+  "steve jobs",
+  "sundar pichai",
+  "tim cook",
+  "vladimir putin",
+  "xi jinping",
+];
+
+// First names let unknown people ("Maria Lopez") be recognized
+const FIRST_NAMES = [
+  "adam",
+  "alice",
+  "andrew",
+  "anna",
+  "ben",
+  "carlos",
+  "charles",
+  "daniel",
+  "david",
+  "elizabeth",
+  "emily",
+  "emma",
+  "george",
+  "hans",
+  "james",
+  "jane",
+  "jean",
+  "john",
+  "jose",
+  "laura",
+  "maria",
+  "mark",
+  "mary",
+  "michael",
+  "mohammed",
+  "paul",
+  "peter",
+  "robert",
+  "sarah",
+  "sophie",
+  "thomas",
+  "william",
+];
+
+const ORGANIZATION = [
+  "alphabet",
+  "amazon",
+  "apple",
+  "european central bank",
+  "european union",
+  "facebook",
+  "federal reserve",
+  "google",
+  "ibm",
+  "intel",
+  "kaggle",
+  "meta",
+  "microsoft",
+  "nasa",
+  "nato",
+  "netflix",
+  "nvidia",
+  "openai",
+  "samsung",
+  "sony",
+  "tesla",
+  "toyota",
+  "united nations",
+  "world bank",
+  "world health organization",
+];
+
+const LOCATION = [
+  "africa",
+  "asia",
+  "australia",
+  "berlin",
+  "brazil",
+  "california",
+  "canada",
+  "china",
+  "europe",
+  "france",
+  "germany",
+  "india",
+  "italy",
+  "japan",
+  "london",
+  "mexico",
+  "new york",
+  "paris",
+  "russia",
+  "san francisco",
+  "saudi arabia",
+  "singapore",
+  "south korea",
+  "spain",
+  "tokyo",
+  "united kingdom",
+  "united states",
+  "washington",
+];
+
+const PRODUCT = [
+  "android",
+  "chatgpt",
+  "copilot",
+  "galaxy",
+  "gemini",
+  "ipad",
+  "iphone",
+  "macbook",
+  "pixel",
+  "playstation",
+  "windows",
+  "xbox",
+];
+
+module.exports = {
+  PERSON,
+  FIRST_NAMES,
+  ORGANIZATION,
+  LOCATION,
+  PRODUCT,
+};
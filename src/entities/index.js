@@ -0,0 +1,240 @@
+const gazetteers = require("./gazetteers");
+
+/**
+ * Entity types assigned by classifyEntity
+ * @type {string[]}
+ */
+const ENTITY_TYPES = ["PERSON", "ORGANIZATION", "LOCATION", "PRODUCT", "OTHER"];
+
+/**
+ * Shared gazetteers by entity type, lowercase
+ * @type {Map<string, Set<string>>}
+ */
+const registry = new Map(
+  ENTITY_TYPES.filter((type) => type !== "OTHER").map((type) => [
+    type,
+    new Set(gazetteers[type]),
+  ]),
+);
+
+const firstNames = new Set(gazetteers.FIRST_NAMES);
+
+/**
+ * Contextual cues found around an occurrence of an entity
+ * @type {Array<{type: string, weight: number, before?: RegExp, after?: RegExp}>}
+ */
+const CONTEXT_CUES = [
+  {
+    type: "PERSON",
+    weight: 0.6,
+    before:
+      /\b(?:mr|mrs|ms|dr|prof|sir|president|ceo|chairman|founder|minister|senator|judge)\.?\s+$/i,
+  },
+  {
+    type: "PERSON",
+    weight: 0.3,
+    after: /^,?\s+(?:said|says|told|added|wrote)\b/i,
+  },
+  {
+    type: "ORGANIZATION",
+    weight: 0.6,
+    before:
+      /\b(?:ceo|chairman|founder|head|president|spokesperson|employees?|shares|subsidiary) (?:of|at)\s+$/i,
+  },
+  {
+    type: "ORGANIZATION",
+    weight: 0.8,
+    after: /^,?\s+(?:inc|corp|corporation|ltd|llc|plc|gmbh|co)\b\.?/i,
+  },
+  {
+    type: "LOCATION",
+    weight: 0.4,
+    before: /\b(?:in|from|near|across|throughout|outside)\s+$/i,
+  },
+];
+
+/**
+ * Cues found in the entity text itself
+ * @type {Array<{type: string, weight: number, pattern: RegExp}>}
+ */
+const NAME_CUES = [
+  {
+    type: "PERSON",
+    weight: 0.8,
+    pattern:
+      /^(?:Mr|Mrs|Ms|Dr|Prof|Sir|President|CEO|Senator|Minister)\.?\s+\p{Lu}/u,
+  },
+  {
+    type: "ORGANIZATION",
+    weight: 0.7,
+    pattern:
+      /\b(?:Inc|Corp|Corporation|Ltd|LLC|Group|Bank|University|Institute|Association|Agency|Ministry)\.?$/,
+  },
+  {
+    type: "LOCATION",
+    weight: 0.7,
+    pattern:
+      /\b(?:City|River|Island|Islands|Mountains?|Valley|Bay|County|Province|Republic)$/,
+  },
+  // Model numbers and camel case product names (iPhone14, Dimensity9300+)
+  { type: "PRODUCT", weight: 0.5, pattern: /\d|^\p{Ll}+\p{Lu}/u },
+];
+
+/**
+ * Job titles that join an organization to a person's name
+ * ("Kaggle CEO Anthony Goldbloom"), lowercase
+ * @type {Set<string>}
+ */
+const INNER_TITLES = new Set([
+  "ceo",
+  "cfo",
+  "cto",
+  "chairman",
+  "chairwoman",
+  "chief",
+  "founder",
+  "president",
+  "spokesperson",
+]);
+
+/**
+ * Splits a proper noun at job titles between two names, so "Kaggle CEO
+ * Anthony Goldbloom" yields the organization and the person
+ * @param {string} text - Proper noun
+ * @returns {string[]} The names around the titles, or the proper noun itself
+ */
+function splitAtTitles(text) {
+  const words = text.split(/\s+/);
+  const i = words.findIndex(
+    (word, j) =>
+      j > 0 && j < words.length - 1 && INNER_TITLES.has(word.toLowerCase()),
+  );
+  if (i === -1) return [text];
+  return [
+    words.slice(0, i).join(" "),
+    ...splitAtTitles(words.slice(i + 1).join(" ")),
+  ];
+}
+
+/**
+ * Checks an entity type
+ * @param {string} type - Entity type
+ * @throws {Error} When the type cannot have gazetteer entries
+ */
+function assertGazetteerType(type) {
+  if (!registry.has(type)) {
+    throw new Error(
+      `Unknown entity type: ${type} (expected one of ${Array.from(registry.keys()).join(", ")})`,
+    );
+  }
+}
+
+/**
+ * Adds names to the shared gazetteer for an entity type
+ * @param {string} type - PERSON, ORGANIZATION, LOCATION or PRODUCT
+ * @param {Iterable<string>} names - Names to register
+ * @throws {Error} When the type is unknown
+ */
+function registerEntities(type, names) {
+  assertGazetteerType(type);
+  for (const name of names) {
+    registry.get(type).add(name.toLowerCase());
+  }
+}
+
+/**
+ * Builds the gazetteers for an extractor, copying the shared ones only when
+ * custom entries are given
+ * @param {Object<string, Iterable<string>>} [custom] - Extra names by entity type
+ * @returns {Map<string, Set<string>>} Gazetteers by entity type
+ * @throws {Error} When a type is unknown
+ */
+function createGazetteer(custom) {
+  if (!custom) return registry;
+
+  const gazetteer = new Map(
+    Array.from(registry.entries(), ([type, names]) => [type, new Set(names)]),
+  );
+  Object.entries(custom).forEach(([type, names]) => {
+    assertGazetteerType(type);
+    for (const name of names) {
+      gazetteer.get(type).add(name.toLowerCase());
+    }
+  });
+  return gazetteer;
+}
+
+/**
+ * Classifies a proper noun as PERSON, ORGANIZATION, LOCATION, PRODUCT or
+ * OTHER by combining gazetteer matches with cues from the name itself and
+ * from the text around its occurrences
+ * @param {string} text - Proper noun to classify
+ * @param {Array<{before: string, after: string}>} contexts - Text before and after each occurrence
+ * @param {Map<string, Set<string>>} [gazetteer] - Gazetteers by entity type
+ * @returns {{text: string, type: string, confidence: number}} Classified entity
+ */
+function classifyEntity(text, contexts, gazetteer = registry) {
+  const evidence = new Map();
+  const add = (type, weight) =>
+    evidence.set(type, (evidence.get(type) || 0) + weight);
+
+  const lower = text.toLowerCase();
+  const words = lower.split(/\s+/);
+  const containsName = (names) => {
+    for (let i = 0; i < words.length; i++) {
+      for (let j = i + 1; j <= words.length; j++) {
+        if (j - i < words.length && names.has(words.slice(i, j).join(" "))) {
+          return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  gazetteer.forEach((names, type) => {
+    if (names.has(lower)) {
+      add(type, 0.9);
+    } else if (containsName(names)) {
+      // A known name inside a longer one ("Galaxy S24 Ultra", "Apple Inc")
+      add(type, 0.5);
+    }
+  });
+
+  if (words.length > 1 && words.length < 4 && firstNames.has(words[0])) {
+    add("PERSON", 0.7);
+  }
+
+  NAME_CUES.forEach(({ type, weight, pattern }) => {
+    if (pattern.test(text)) add(type, weight);
+  });
+
+  CONTEXT_CUES.forEach(({ type, weight, before, after }) => {
+    const matched = contexts.some(
+      (context) =>
+        (!before || before.test(context.before)) &&
+        (!after || after.test(context.after)),
+    );
+    if (matched) add(type, weight);
+  });
+
+  let best = null;
+  evidence.forEach((score, type) => {
+    if (!best || score > best.score) best = { type, score };
+  });
+
+  if (!best) return { text, type: "OTHER", confidence: 0.5 };
+
+  return {
+    text,
+    type: best.type,
+    confidence: Math.round(Math.min(0.99, best.score) * 100) / 100,
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  registerEntities,
+  createGazetteer,
+  splitAtTitles,
+  classifyEntity,
+};
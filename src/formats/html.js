@@ -0,0 +1,322 @@
+/**
+ * Named character references decoded by decodeEntities. Numeric references
+ * ("&#169;", "&#xA9;") are always decoded.
+ * @type {Object<string, string>}
+ */
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  shy: "", // Soft hyphens would split words
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  deg: "°",
+  euro: "€",
+  pound: "£",
+  yen: "¥",
+  cent: "¢",
+  sect: "§",
+  middot: "·",
+  bull: "•",
+  hellip: "…",
+  ndash: "–",
+  mdash: "—",
+  lsquo: "‘",
+  rsquo: "’",
+  sbquo: "‚",
+  ldquo: "“",
+  rdquo: "”",
+  bdquo: "„",
+  laquo: "«",
+  raquo: "»",
+  times: "×",
+  divide: "÷",
+  agrave: "à",
+  aacute: "á",
+  acirc: "â",
+  atilde: "ã",
+  auml: "ä",
+  aring: "å",
+  aelig: "æ",
+  ccedil: "ç",
+  egrave: "è",
+  eacute: "é",
+  ecirc: "ê",
+  euml: "ë",
+  igrave: "ì",
+  iacute: "í",
+  icirc: "î",
+  iuml: "ï",
+  ntilde: "ñ",
+  ograve: "ò",
+  oacute: "ó",
+  ocirc: "ô",
+  otilde: "õ",
+  ouml: "ö",
+  oslash: "ø",
+  ugrave: "ù",
+  uacute: "ú",
+  ucirc: "û",
+  uuml: "ü",
+  yacute: "ý",
+  yuml: "ÿ",
+  szlig: "ß",
+  Agrave: "À",
+  Aacute: "Á",
+  Acirc: "Â",
+  Atilde: "Ã",
+  Auml: "Ä",
+  Aring: "Å",
+  AElig: "Æ",
+  Ccedil: "Ç",
+  Egrave: "È",
+  Eacute: "É",
+  Ecirc: "Ê",
+  Euml: "Ë",
+  Igrave: "Ì",
+  Iacute: "Í",
+  Icirc: "Î",
+  Iuml: "Ï",
+  Ntilde: "Ñ",
+  Ograve: "Ò",
+  Oacute: "Ó",
+  Ocirc: "Ô",
+  Otilde: "Õ",
+  Ouml: "Ö",
+  Oslash: "Ø",
+  Ugrave: "Ù",
+  Uacute: "Ú",
+  Ucirc: "Û",
+  Uuml: "Ü",
+  Yacute: "Ý",
+};
+
+/**
+ * Elements whose content is never text (scripts, styles and the like)
+ * @type {Set<string>}
+ */
+const RAW_TEXT_ELEMENTS = new Set([
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "object",
+  "svg",
+  "math",
+  "textarea",
+]);
+
+/**
+ * Elements that start and end a block of text
+ * @type {Set<string>}
+ */
+const BLOCK_ELEMENTS = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "body",
+  "br",
+  "caption",
+  "dd",
+  "details",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "head",
+  "header",
+  "hr",
+  "html",
+  "li",
+  "main",
+  "nav",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "summary",
+  "table",
+  "td",
+  "th",
+  "title",
+  "tr",
+  "ul",
+]);
+
+/**
+ * Elements whose text ranges are reported for structural weighting
+ * @type {Set<string>}
+ */
+const STRUCTURAL_ELEMENTS = new Set(["h1", "h2", "h3", "strong", "b"]);
+
+/**
+ * Decodes named and numeric character references
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(
+    /&(?:#(\d+)|#[xX]([\da-fA-F]+)|([a-zA-Z][a-zA-Z\d]*));?/g,
+    (reference, decimal, hex, name) => {
+      if (name !== undefined) {
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)
+          ? NAMED_ENTITIES[name]
+          : reference;
+      }
+      const codePoint = decimal !== undefined ? +decimal : parseInt(hex, 16);
+      // Invalid and surrogate code points decode to the replacement character
+      return codePoint > 0x10ffff ||
+        codePoint === 0 ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff)
+        ? "\ufffd"
+        : String.fromCodePoint(codePoint);
+    },
+  );
+}
+
+/**
+ * Parses the attributes of a start tag
+ * @param {string} source - Attribute source between the tag name and ">"
+ * @returns {Map<string, string>} Decoded attribute values by lowercase name
+ */
+function parseAttributes(source) {
+  const attributes = new Map();
+  const pattern =
+    /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  for (const [, name, double, single, bare] of source.matchAll(pattern)) {
+    const value = double || single || bare || "";
+    attributes.set(name.toLowerCase(), decodeEntities(value));
+  }
+  return attributes;
+}
+
+/**
+ * Converts an HTML document to plain text. Tags, comments, scripts and
+ * styles are removed, entities are decoded and block elements are separated
+ * by blank lines so they split into sentences. The ranges of headings, bold
+ * text and image alt text are kept for structural weighting.
+ * @param {string} html - HTML document or fragment
+ * @returns {{text: string, title: string, sections: Array<{start: number, end: number, element: string}>}} Plain text, title (from <title> and the meta description) and structural ranges in the text
+ */
+function parseHtml(html) {
+  let text = "";
+  let title = "";
+  let description = "";
+  let inTitle = false;
+  const sections = [];
+  const open = [];
+
+  const trimmedLength = () => text.replace(/\s+$/, "").length;
+  const appendText = (raw) => {
+    const chunk = decodeEntities(raw).replace(/\s+/g, " ");
+    if (inTitle) {
+      title += chunk;
+      return;
+    }
+    text += /(?:^|\s)$/.test(text) ? chunk.replace(/^ /, "") : chunk;
+  };
+  const appendBreak = () => {
+    text = text.replace(/[^\S\n]+$/, "");
+    if (text && !text.endsWith("\n\n")) {
+      text += text.endsWith("\n") ? "\n" : "\n\n";
+    }
+  };
+  const closeElement = (name) => {
+    const index = open.map((entry) => entry.element).lastIndexOf(name);
+    if (index === -1) return;
+    const [entry] = open.splice(index, 1);
+    const end = trimmedLength();
+    if (end > entry.start) {
+      sections.push({ start: entry.start, end, element: entry.element });
+    }
+  };
+
+  // Tags never span a "<", so text with unclosed tags or quotes is scanned
+  // once instead of once per "<"
+  const tagPattern =
+    /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[!?][^<>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^<>"']|"[^"<]*"|'[^'<]*')*)>/g;
+  let position = 0;
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    appendText(html.slice(position, match.index));
+    position = tagPattern.lastIndex;
+
+    const [, closing, tagName] = match;
+    if (!tagName) continue; // Comment, doctype or processing instruction
+    const name = tagName.toLowerCase();
+
+    if (closing) {
+      if (name === "title") inTitle = false;
+      if (STRUCTURAL_ELEMENTS.has(name)) closeElement(name);
+      if (BLOCK_ELEMENTS.has(name)) appendBreak();
+      continue;
+    }
+
+    const attributes = parseAttributes(match[3]);
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      // Skip everything up to the matching end tag
+      const end = new RegExp(`</${name}\\s*>`, "ig");
+      end.lastIndex = position;
+      const endMatch = end.exec(html);
+      position = endMatch ? end.lastIndex : html.length;
+      tagPattern.lastIndex = position;
+      continue;
+    }
+    if (name === "title") {
+      inTitle = true;
+    } else if (
+      name === "meta" &&
+      (attributes.get("name") || "").toLowerCase() === "description"
+    ) {
+      description = attributes.get("content") || "";
+    } else if (name === "img" && attributes.get("alt")) {
+      appendBreak();
+      const start = text.length;
+      appendText(attributes.get("alt"));
+      sections.push({ start, end: trimmedLength(), element: "alt" });
+      appendBreak();
+    }
+
+    if (BLOCK_ELEMENTS.has(name)) appendBreak();
+    if (STRUCTURAL_ELEMENTS.has(name)) {
+      open.push({ start: text.length, element: name });
+    }
+  }
+  appendText(html.slice(position));
+
+  // Elements left open end with the document
+  while (open.length) closeElement(open[open.length - 1].element);
+
+  text = text.trim();
+  return {
+    text,
+    title: [title.trim(), description.trim()].filter(Boolean).join("\n"),
+    sections: sections
+      .map((section) => ({
+        ...section,
+        end: Math.min(section.end, text.length),
+      }))
+      .filter((section) => section.end > section.start)
+      .sort((a, b) => a.start - b.start),
+  };
+}
+
+module.exports = {
+  decodeEntities,
+  parseHtml,
+};
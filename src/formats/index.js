@@ -0,0 +1,67 @@
+const { parseHtml } = require("./html");
+const { parseMarkdown } = require("./markdown");
+
+/**
+ * Default weight of each structural element, scaled by the "structure"
+ * scoring weight. A keyword gets the weight of the strongest element it
+ * occurs in.
+ * @type {Object<string, number>}
+ */
+const STRUCTURE_WEIGHTS = {
+  h1: 1,
+  h2: 0.8,
+  h3: 0.6,
+  strong: 0.4,
+  b: 0.4,
+  alt: 0.4,
+};
+
+/**
+ * Parsers for each input format
+ * @type {Map<string, function(string): {text: string, title: string, sections: Array<{start: number, end: number, element: string}>, headings?: string[], tags?: string[]}>}
+ */
+const parsers = new Map([
+  ["text", (text) => ({ text, title: "", sections: [] })],
+  ["html", parseHtml],
+  ["markdown", parseMarkdown],
+]);
+
+/**
+ * Converts content in an input format to plain text
+ * @param {string} content - Content to convert
+ * @param {string} [format="text"] - Input format: "text", "html" or "markdown"
+ * @returns {{text: string, title: string, sections: Array<{start: number, end: number, element: string}>, headings: string[], tags: string[]}} Plain text, title found in the content, ranges of structural elements in the text, and headings and tags used as title context
+ * @throws {Error} When the format is unknown
+ */
+function parseDocument(content, format = "text") {
+  const parser = parsers.get(format);
+  if (!parser) {
+    throw new Error(`Unknown format: ${format}`);
+  }
+  return { headings: [], tags: [], ...parser(content) };
+}
+
+/**
+ * Gets the structural weight of a text range: the highest weight of the
+ * elements containing it
+ * @param {Array<{start: number, end: number, element: string}>} sections - Structural ranges
+ * @param {{start: number, end: number}} range - Text range
+ * @param {Object<string, number>} [weights] - Weights overriding STRUCTURE_WEIGHTS
+ * @returns {number} Structural weight, 0 outside any structural element
+ */
+function structureWeight(sections, range, weights) {
+  const merged = { ...STRUCTURE_WEIGHTS, ...weights };
+  return sections.reduce(
+    (best, { start, end, element }) =>
+      start <= range.start && range.end <= end
+        ? Math.max(best, merged[element] || 0)
+        : best,
+    0,
+  );
+}
+
+module.exports = {
+  STRUCTURE_WEIGHTS,
+  parseDocument,
+  structureWeight,
+};
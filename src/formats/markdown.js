@@ -0,0 +1,265 @@
+/**
+ * Inline Markdown syntax, in order of precedence: code spans, images, links,
+ * autolinks, inline HTML, bare URLs, strong and regular emphasis,
+ * strikethrough and backslash escapes
+ * @type {RegExp}
+ */
+const INLINE_PATTERN = new RegExp(
+  [
+    "(`+)[\\s\\S]*?[^`]\\1(?!`)",
+    "!\\[([^\\]]*)\\]\\([^)]*\\)",
+    "\\[([^\\]]+)\\](?:\\([^)]*\\)|\\[[^\\]]*\\])",
+    "<(?:https?:\\/\\/|mailto:)[^>\\s]+>",
+    "<\\/?[a-zA-Z][^>]*>",
+    "(?:https?:\\/\\/|www\\.)[^\\s<>()]+",
+    "(\\*\\*|__)(?=\\S)([\\s\\S]*?\\S)\\4",
+    "\\*(?=\\S)([\\s\\S]*?\\S)\\*",
+    "(?<![\\p{L}\\p{N}])_(?=\\S)([\\s\\S]*?\\S)_(?![\\p{L}\\p{N}])",
+    "~~([\\s\\S]*?)~~",
+    "\\\\([\\p{P}\\p{S}])",
+  ].join("|"),
+  "gu",
+);
+
+/**
+ * Appends text to a buffer, collapsing whitespace
+ * @param {string} buffer - Text so far
+ * @param {string} text - Text to append
+ * @returns {string} Combined text
+ */
+function appendText(buffer, text) {
+  const chunk = text.replace(/\s+/g, " ");
+  return /(?:^|\s)$/.test(buffer)
+    ? buffer + chunk.replace(/^ /, "")
+    : buffer + chunk;
+}
+
+/**
+ * Converts inline Markdown to plain text. Code spans and URLs are dropped,
+ * links and images keep their text and strong emphasis is reported as a
+ * structural range.
+ * @param {string} source - Inline Markdown
+ * @returns {{text: string, sections: Array<{start: number, end: number, element: string}>}} Plain text and strong emphasis ranges
+ */
+function renderInline(source) {
+  let text = "";
+  const sections = [];
+  const appendNested = (inner, element) => {
+    const rendered = renderInline(inner);
+    text = appendText(text, rendered.text);
+    const offset = text.length - rendered.text.length;
+    rendered.sections.forEach((section) =>
+      sections.push({
+        start: section.start + offset,
+        end: section.end + offset,
+        element: section.element,
+      }),
+    );
+    if (element && rendered.text) {
+      sections.push({ start: offset, end: text.length, element });
+    }
+  };
+
+  let position = 0;
+  for (const match of source.matchAll(INLINE_PATTERN)) {
+    text = appendText(text, source.slice(position, match.index));
+    position = match.index + match[0].length;
+
+    const [, , alt, label, , strong, emphasis, underscore, strike, escaped] =
+      match;
+    if (alt !== undefined) {
+      appendNested(alt);
+    } else if (label !== undefined) {
+      appendNested(label);
+    } else if (strong !== undefined) {
+      appendNested(strong, "strong");
+    } else if (emphasis !== undefined || underscore !== undefined) {
+      appendNested(emphasis !== undefined ? emphasis : underscore);
+    } else if (strike !== undefined) {
+      appendNested(strike);
+    } else if (escaped !== undefined) {
+      text += escaped;
+    }
+    // Code spans, autolinks, inline HTML and bare URLs are dropped
+  }
+  text = appendText(text, source.slice(position));
+
+  return { text: text.trim(), sections };
+}
+
+/**
+ * Reads the title and tags from YAML front matter. Only simple scalars and
+ * lists ("tags: [a, b]", "tags: a, b" or one "- item" per line) are read.
+ * @param {string} source - Front matter without the "---" fences
+ * @returns {{title: string, tags: string[]}} Title and tags
+ */
+function parseFrontMatter(source) {
+  const fields = {};
+  let listKey = null;
+  const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, "$2");
+
+  source.split(/\r?\n/).forEach((line) => {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      fields[listKey].push(unquote(item[1]));
+      return;
+    }
+    const field = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!field) return;
+    const [, key, value] = field;
+    listKey = null;
+    if (!value.trim()) {
+      fields[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      fields[key] = value.trim().slice(1, -1).split(",").map(unquote);
+    } else {
+      fields[key] = unquote(value);
+    }
+  });
+
+  const { title = "", tags = [] } = fields;
+  return {
+    title: Array.isArray(title) ? title.join(" ") : title,
+    tags: (Array.isArray(tags) ? tags : tags.split(","))
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Converts a Markdown document to plain text. Markup is removed, code spans,
+ * fenced code blocks and URLs are dropped, and blocks (paragraphs, headings,
+ * list items, table cells) are separated by blank lines so they split into
+ * sentences. Headings and YAML front matter are returned for title context.
+ * @param {string} markdown - Markdown document
+ * @returns {{text: string, title: string, sections: Array<{start: number, end: number, element: string}>, headings: string[], tags: string[]}} Plain text, front matter title, structural ranges in the text, heading texts and front matter tags
+ */
+function parseMarkdown(markdown) {
+  let body = markdown;
+  let frontMatter = { title: "", tags: [] };
+  const fence = body.match(
+    /^\uFEFF?---[^\S\n]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[^\S\n]*(?:\r?\n|$)/,
+  );
+  if (fence) {
+    frontMatter = parseFrontMatter(fence[1]);
+    body = body.slice(fence[0].length);
+  }
+  body = body.replace(/<!--[\s\S]*?-->/g, "");
+
+  const blocks = [];
+  let paragraph = [];
+  const endParagraph = () => {
+    if (paragraph.length) blocks.push({ source: paragraph.join(" ") });
+    paragraph = [];
+  };
+
+  const lines = body.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    // Block quotes are read as their content
+    const line = lines[i].replace(/^(?: {0,3}>[^\S\n]?)+/, "");
+
+    const openFence = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (openFence) {
+      endParagraph();
+      const [marker] = openFence[1];
+      const closing = new RegExp(
+        `^ {0,3}\\${marker}{${openFence[1].length},}\\s*$`,
+      );
+      while (i + 1 < lines.length && !closing.test(lines[i + 1])) i++;
+      i++; // Skip the closing fence
+      continue;
+    }
+
+    if (!line.trim()) {
+      endParagraph();
+      continue;
+    }
+
+    const atx = line.match(
+      /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+    );
+    if (atx) {
+      endParagraph();
+      blocks.push({ source: atx[2] || "", level: atx[1].length });
+      continue;
+    }
+
+    if (/^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)+\|?\s*$/.test(line)) {
+      continue; // Table delimiter row
+    }
+
+    const setext = line.match(/^ {0,3}(=+|-+)[ \t]*$/);
+    if (setext && paragraph.length) {
+      blocks.push({
+        source: paragraph.join(" "),
+        level: setext[1][0] === "=" ? 1 : 2,
+      });
+      paragraph = [];
+      continue;
+    }
+
+    if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)) {
+      endParagraph(); // Thematic break
+      continue;
+    }
+
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      endParagraph();
+      line
+        .trim()
+        .slice(1, -1)
+        .split(/(?<!\\)\|/)
+        .forEach((cell) => blocks.push({ source: cell.trim() }));
+      continue;
+    }
+
+    const listItem = line.match(
+      /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/,
+    );
+    if (listItem) {
+      endParagraph();
+      paragraph.push(listItem[1]);
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+  endParagraph();
+
+  let text = "";
+  const sections = [];
+  const headings = [];
+  blocks.forEach(({ source, level }) => {
+    const rendered = renderInline(source);
+    if (!rendered.text) return;
+
+    const start = text ? text.length + 2 : 0;
+    text = text ? `${text}\n\n${rendered.text}` : rendered.text;
+    rendered.sections.forEach((section) =>
+      sections.push({
+        start: section.start + start,
+        end: section.end + start,
+        element: section.element,
+      }),
+    );
+    if (level) {
+      headings.push(rendered.text);
+      if (level <= 3) {
+        sections.push({ start, end: text.length, element: `h${level}` });
+      }
+    }
+  });
+
+  return {
+    text,
+    title: frontMatter.title,
+    sections: sections.sort((a, b) => a.start - b.start),
+    headings,
+    tags: frontMatter.tags,
+  };
+}
+
+module.exports = {
+  parseMarkdown,
+};
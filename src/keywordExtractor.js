@@ -0,0 +1,1170 @@
+const { resolveStopWords } = require("./languages");
+const { resolveNormalizer } = require("./stemmers");
+const {
+  createGazetteer,
+  splitAtTitles,
+  classifyEntity,
+} = require("./entities");
+const { needsSegmentation, segmentWords } = require("./segmenter");
+const { parseDocument, structureWeight } = require("./formats");
+const { findAcronyms } = require("./acronyms");
+const AliasDictionary = require("./aliasDictionary");
+const {
+  CASE_LEXICONS,
+  casingKey,
+  countCasing,
+  isMostlyCapitalized,
+} = require("./truecase");
+const { rankKeywords } = require("./scoring");
+const { renderHighlights } = require("./render");
+const { rake } = require("./algorithms/rake");
+const { textRank } = require("./algorithms/textrank");
+const { yake } = require("./algorithms/yake");
+const { findCollocations } = require("./algorithms/collocations");
+const {
+  SENTENCE_BOUNDARY,
+  sentenceRanges,
+  indexWordStarts,
+  findOccurrences,
+  indexWordVariants,
+  findWordVariants,
+} = require("./offsets");
+
+/**
+ * Freezes an object and everything it contains
+ * @param {*} value - Value to freeze
+ * @returns {*} The frozen value
+ */
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * A class to extract and process keywords from text content
+ * @class KeywordExtractor
+ */
+class KeywordExtractor {
+  /**
+   * Creates an instance of KeywordExtractor
+   * @param {string} content - The text content to analyze
+   * @param {string} [title] - Optional title for additional context
+   * @param {Object} [options] - Extraction options
+   * @param {string} [options.language="en"] - Language of the stop word list to use
+   * @param {Iterable<string>} [options.stopWords] - Replaces the language's stop word list
+   * @param {Iterable<string>} [options.extraStopWords] - Additional words to filter out
+   * @param {Iterable<string>} [options.keepWords] - Stop words to keep anyway
+   * @param {Corpus} [options.corpus] - Corpus used for TF-IDF and BM25 ranking
+   * @param {boolean|string|Function} [options.stemmer] - Groups word variants by stem: true for the language's stemmer, a language code, or a custom function
+   * @param {boolean|Object|Map|Function} [options.lemmatizer] - Groups word variants by lemma: true for the bundled English dictionary, a custom dictionary, or a custom function
+   * @param {Object<string, string[]>} [options.gazetteer] - Extra entity names by type (PERSON, ORGANIZATION, LOCATION, PRODUCT)
+   * @param {string|false} [options.normalization="NFC"] - Unicode normalization form applied to content and title ("NFC", "NFKC"), or false to keep them as given
+   * @param {string} [options.locale] - Locale used for case folding when checking stop words, defaults to the language (e.g. "tr" folds "I" to "ı")
+   * @param {string|Function} [options.segmenter] - Word segmentation for Chinese, Japanese and Thai: "intl", "dictionary", or a custom function (text, language) => string[]
+   * @param {Iterable<string>} [options.dictionary] - Extra words for dictionary segmentation
+   * @param {string} [options.format="text"] - Input format: "text", "html" or "markdown". Markup is converted to text, and the HTML <title> and meta description or the Markdown front matter title are used as the title when none is given
+   * @param {Object<string, number>} [options.structureWeights] - Weights of structural elements (h1, h2, h3, strong, b, alt) overriding STRUCTURE_WEIGHTS
+   * @param {boolean} [options.truecase=true] - Treat a capitalized word starting a sentence as a proper noun when it is written capitalized elsewhere in the content, in the corpus or in the case lexicon
+   * @param {AliasDictionary|Object<string, string[]>} [options.aliases] - Canonical names and their aliases; keywords naming the same entity are merged under its canonical name
+   * @throws {Error} When content is not a string, or the language or format is unsupported
+   */
+  constructor(content, title = "", options = {}) {
+    if (typeof content !== "string") {
+      throw new Error("Content must be a string");
+    }
+    options = options || {};
+    const { normalization = "NFC", format = "text" } = options;
+    const document = parseDocument(
+      normalization ? content.normalize(normalization) : content,
+      format,
+    );
+    this.content = document.text;
+    this.title =
+      (normalization && typeof title === "string"
+        ? title.normalize(normalization)
+        : title) || document.title;
+    this.sections = document.sections;
+    this.headings = document.headings;
+    this.tags = document.tags;
+    this.keywords = [];
+    this.words = [];
+    this.absorbed = new Map();
+    this.forms = new Map();
+    this.acronyms = new Map();
+    // Occurrences of each form, and sentence ranges and word indexes by text
+    this.occurrenceCache = new Map();
+    this.textCache = new Map();
+    this.options = options;
+    this.language = options.language || "en";
+    this.locale = options.locale || this.language;
+    this.stopWords = resolveStopWords(options);
+    this.corpus = options.corpus || null;
+    this.normalizer = resolveNormalizer(options);
+    this.gazetteer = createGazetteer(options.gazetteer);
+    this.aliases = !options.aliases
+      ? null
+      : options.aliases instanceof AliasDictionary
+        ? options.aliases
+        : new AliasDictionary(options.aliases);
+    this.segmented = needsSegmentation(this.content, this.language);
+  }
+
+  /**
+   * Tokenizes the content into words
+   * @returns {string[]} Array of tokens
+   */
+  tokenize() {
+    try {
+      if (this.segmented) {
+        // Keep a boundary token between sentences so phrases never span them
+        return this.splitSentences().flatMap((sentence, i) =>
+          i
+            ? [".", ...this.tokenizeText(sentence)]
+            : this.tokenizeText(sentence),
+        );
+      }
+
+      // Split into sentences first
+      const sentences = this.content.split(/([.!?])\s+/);
+
+      // Process each sentence while preserving sentence boundaries
+      return sentences.map((sentence) => this.tokenizeText(sentence)).flat();
+    } catch (error) {
+      console.error("Error tokenizing content:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Tokenizes a piece of text into words and punctuation. Chinese, Japanese
+   * and Thai text, which has no spaces between words, is segmented with
+   * Intl.Segmenter or a dictionary.
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Array of tokens
+   */
+  tokenizeText(text) {
+    if (this.segmented) {
+      return segmentWords(text, this.language, this.options);
+    }
+    return text
+      .replace(/([,;:])/g, " $1 ") // Add spaces around punctuation
+      .split(/\s+/) // Split on whitespace
+      .map((word) => word.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Splits the content into sentences on terminal punctuation
+   * @returns {string[]} Array of sentences
+   */
+  splitSentences() {
+    return this.content.split(SENTENCE_BOUNDARY);
+  }
+
+  /**
+   * Lowercases a word using the extractor's locale, so Turkish "İ" and "I"
+   * fold to "i" and "ı"
+   * @param {string} word - Word to fold
+   * @returns {string} Lowercase word
+   */
+  foldCase(word) {
+    return word.toLocaleLowerCase(this.locale);
+  }
+
+  /**
+   * Checks whether a word is in the stop word list, ignoring case
+   * @param {string} word - Word to check
+   * @returns {boolean} True when the word is a stop word
+   */
+  isStopWord(word) {
+    return (
+      this.stopWords.has(this.foldCase(word)) ||
+      this.stopWords.has(word.toLowerCase())
+    );
+  }
+
+  /**
+   * Normalizes a word for grouping variants: lowercase, without possessive,
+   * then lemmatized and stemmed when those options are set
+   * @param {string} word - Word to normalize
+   * @returns {string} Normalized form
+   */
+  normalizeWord(word) {
+    const lowercase = word.toLowerCase().replace(/['’]s$/, "");
+    return this.normalizer ? this.normalizer(lowercase) : lowercase;
+  }
+
+  /**
+   * Counts words grouped by normalized form, labelling each group with its
+   * most frequent surface form ("battery", "batteries", "Battery's")
+   * @param {string[]} words - Words to count
+   * @returns {Object<string, number>} Occurrences per surface form
+   */
+  countWordVariants(words) {
+    const groups = new Map();
+    words.forEach((word) => {
+      const surface = this.cleanupKeywords([word])[0];
+      if (!surface) return;
+      const key = this.normalizeWord(surface);
+      if (!groups.has(key)) groups.set(key, new Map());
+      const forms = groups.get(key);
+      forms.set(surface, (forms.get(surface) || 0) + 1);
+    });
+
+    const frequency = {};
+    groups.forEach((forms) => {
+      let total = 0;
+      let best = null;
+      forms.forEach((count, surface) => {
+        total += count;
+        if (best === null || count > forms.get(best)) best = surface;
+      });
+      frequency[best] = total;
+    });
+    return frequency;
+  }
+
+  /**
+   * Removes stop words from an array of tokens
+   * @param {string[]} tokens - Array of words to process
+   * @returns {string[]} Filtered array without stop words
+   */
+  removeStopWords(tokens) {
+    if (!Array.isArray(tokens)) {
+      throw new Error("Input must be an array of strings");
+    }
+
+    return tokens.flatMap((token) => {
+      const words = token.split(" ");
+
+      if (words.length === 1) {
+        return !this.isStopWord(token) ? [token] : [];
+      }
+
+      const filteredWords = words.filter((word) => !this.isStopWord(word));
+
+      return filteredWords.length > 0 ? [filteredWords.join(" ")] : [];
+    });
+  }
+
+  /**
+   * Extracts proper nouns from the content
+   * @returns {string[]} Array of proper nouns
+   */
+  findProperNouns() {
+    // Get sentences and their words
+    let sentences = this.splitSentences();
+    const properNouns = [];
+    const casing = this.options.truecase === false ? null : this.findCasing();
+
+    sentences.forEach((sentence) => {
+      const words = sentence
+        .split(/\s+/)
+        .flatMap((word) =>
+          word.includes("+") ? word.split(/\+/).filter(Boolean) : [word],
+        )
+        .filter(Boolean);
+      for (let i = 0; i < words.length; i++) {
+        let currentWord = words[i];
+
+        // Skip words less than 2 characters or if it's a stop word
+        if (
+          currentWord.length < 2 ||
+          this.stopWords.has(this.foldCase(currentWord))
+        )
+          continue;
+
+        // Skip if it's the first word of a sentence (unless it matches our proper noun patterns)
+        const isFirstWord = i === 0;
+        const isProperNounPattern =
+          /^\p{Lu}[\p{Ll}\p{M}]*\p{Lu}[\p{L}\p{M}]*$/u.test(currentWord) || // Compound names (MacBook)
+          (/^\p{Lu}[\p{L}\p{M}\p{N}]*$/u.test(currentWord) &&
+            /\p{N}/u.test(currentWord)); // Words with numbers (iPhone14)
+
+        // ...or truecasing shows it is capitalized mid-sentence ("Google")
+        const isTruecased =
+          isFirstWord &&
+          casing !== null &&
+          /^\p{Lu}/u.test(currentWord) &&
+          this.truecase(currentWord, casing) === currentWord;
+
+        if (isFirstWord && !isProperNounPattern && !isTruecased) continue;
+
+        // Pattern 1: Single capitalized word (e.g., Samsung, Google)
+        if (/^\p{Lu}[\p{L}\p{M}]*$/u.test(currentWord)) {
+          properNouns.push(currentWord);
+        }
+
+        // Pattern 2 & 3: Already checked in isProperNounPattern
+        if (isProperNounPattern) {
+          properNouns.push(currentWord);
+        }
+
+        // Pattern 4: Multi-word proper nouns with technical specifications
+        if (/^\p{Lu}/u.test(currentWord) && (!isFirstWord || isTruecased)) {
+          let phrase = [currentWord];
+          let j = i + 1;
+
+          while (
+            j < words.length &&
+            (/^\p{Lu}/u.test(words[j]) || /^\p{N}/u.test(words[j]))
+          ) {
+            const nextWord = words[j];
+            // Check for model numbers, technical specs, or capitalized words
+            if (
+              /^\p{Lu}/u.test(nextWord) || // Capitalized words
+              /^\p{N}/u.test(nextWord) || // Numbers
+              /^\p{L}\p{N}/u.test(nextWord) || // Alphanumeric combinations
+              /^[+]$/.test(nextWord) || // Plus sign
+              nextWord.toLowerCase() === "plus" || // Word "plus"
+              /^\p{L}+\p{N}+\+?$/u.test(nextWord) // Words like "Dimensity9300+"
+            ) {
+              if (!this.stopWords.has(this.foldCase(nextWord))) {
+                phrase.push(nextWord);
+              }
+              j++;
+            } else {
+              break;
+            }
+          }
+
+          if (phrase.length > 1) {
+            properNouns.push(phrase.join(" "));
+            i = j - 1; // Skip processed words
+          }
+        }
+      }
+    });
+
+    // Clean up and remove duplicates
+    const cleanedProperNouns = this.cleanupKeywords(properNouns);
+    const finalProperNouns = [
+      ...new Set(this.removeStopWords(cleanedProperNouns)),
+    ];
+    this.keywords.push(...finalProperNouns);
+
+    return finalProperNouns;
+  }
+  /**
+   * Counts how the content's words are cased away from the start of
+   * sentences, where capitalization marks proper nouns
+   * @returns {Map<string, {capitalized: number, lowercase: number}>} Casing counts by case-folded word
+   */
+  findCasing() {
+    const casing = countCasing(
+      this.splitSentences().map((sentence) =>
+        sentence.split(/\s+/).filter(Boolean),
+      ),
+      (word) => this.foldCase(word),
+    );
+    // Stop words are never proper nouns
+    casing.forEach((_, word) => {
+      if (this.stopWords.has(word)) casing.delete(word);
+    });
+    return casing;
+  }
+
+  /**
+   * Recovers how a word would be written in the middle of a sentence, from
+   * its dominant casing elsewhere in the content, then in the corpus, then in
+   * the case lexicon and gazetteers
+   * @param {string} word - Word, typically starting a sentence
+   * @param {Map<string, {capitalized: number, lowercase: number}>} [casing] - Casing counts of the content, from findCasing
+   * @returns {string|null} The word as given when it is a proper noun, lowercased when it is not, or null when there is no evidence either way
+   */
+  truecase(word, casing = this.findCasing()) {
+    const key = casingKey(word, (w) => this.foldCase(w));
+    if (!key) return null;
+
+    let capitalized = isMostlyCapitalized(casing.get(key));
+    if (capitalized === null && this.corpus) {
+      capitalized = isMostlyCapitalized(this.corpus.getCasing(key));
+    }
+    if (
+      capitalized === null &&
+      ((CASE_LEXICONS[this.language] || []).includes(key) ||
+        Array.from(this.gazetteer.values()).some((names) => names.has(key)))
+    ) {
+      capitalized = true;
+    }
+
+    if (capitalized === null) return null;
+    return capitalized ? word : this.foldCase(word);
+  }
+
+  /**
+   * Finds proper nouns and classifies them as PERSON, ORGANIZATION, LOCATION,
+   * PRODUCT or OTHER using gazetteers and the text around each occurrence.
+   * Names joined by a job title are split ("Kaggle CEO Anthony Goldbloom"),
+   * and words only seen inside a longer name ("San" in "San Francisco") are
+   * left out unless a gazetteer knows them.
+   * @returns {Array<{text: string, type: string, confidence: number}>} Array of typed entities
+   */
+  findEntities() {
+    const names = Array.from(
+      new Set(this.findProperNouns().flatMap(splitAtTitles)),
+      (text) => ({ text, occurrences: this.findOccurrences(text).occurrences }),
+    );
+    const isFragment = ({ text, occurrences }) =>
+      occurrences.length > 0 &&
+      !Array.from(this.gazetteer.values()).some((known) =>
+        known.has(text.toLowerCase()),
+      ) &&
+      occurrences.every(({ start, end }) =>
+        names.some(
+          (other) =>
+            other.text.length > text.length &&
+            other.occurrences.some(
+              (outer) => outer.start <= start && end <= outer.end,
+            ),
+        ),
+      );
+
+    return names
+      .filter((name) => !isFragment(name))
+      .map(({ text, occurrences }) => {
+        const contexts = occurrences.map(({ start, end }) => ({
+          before: this.content.slice(Math.max(0, start - 30), start),
+          after: this.content.slice(end, end + 20),
+        }));
+        return classifyEntity(text, contexts, this.gazetteer);
+      });
+  }
+
+  /**
+   * Finds the most frequent keywords
+   * @param {number} N - Number of top keywords to return
+   * @returns {Array<{word: string, frequency: number}>} Array of keyword objects with frequencies
+   */
+
+  findHighFrequencyKeywords(N = 7) {
+    if (typeof N !== "number" || N < 1) {
+      throw new Error("N must be a positive number");
+    }
+
+    this.words = this.removeStopWords(this.tokenize());
+    const frequency = this.normalizer
+      ? this.countWordVariants(this.words)
+      : this.words.reduce((acc, word) => {
+          acc[word] = (acc[word] || 0) + 1;
+          return acc;
+        }, {});
+
+    const keywordFreq = Object.entries(frequency)
+      .filter(([word]) => !/^\d+$/.test(word))
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, N + 1)
+      .map(([word, freq]) => ({
+        word,
+        frequency: freq,
+      }));
+
+    // Clean first
+    const cleanedKeywordFreq = keywordFreq
+      .map((item) => ({
+        word: this.cleanupKeywords([item.word])[0],
+        frequency: item.frequency,
+      }))
+      .filter((item) => item.word);
+
+    // Then update keywords array with cleaned words
+    const newWords = cleanedKeywordFreq.map((item) => item.word);
+    this.keywords = Array.from(new Set([...this.keywords, ...newWords]));
+
+    return cleanedKeywordFreq; // Return cleaned version
+  }
+
+  /**
+   * Extracts context keywords from the title, and from the headings and
+   * front matter tags of Markdown content
+   * @returns {string[]|null} Array of context keywords or null if no title
+   */
+  findContextFromTitle() {
+    if (!this.title && !this.headings.length && !this.tags.length) return null;
+    const titleWords = [this.title, ...this.headings]
+      .join(" ")
+      .split(/\s+/)
+      .filter(Boolean);
+    const context = [];
+    const titleWithoutStopWords = this.removeStopWords(titleWords).filter(
+      (word) => {
+        // Remove pure numbers
+        if (/^\d+$/.test(word)) return false;
+
+        // Remove prices (e.g., $400, $1,234, $1.99)
+        if (/\$\d+/.test(word)) return false; // Will match any word containing $number
+
+        // Alternative: more comprehensive price pattern
+        if (/^[$€£¥]\d+(?:,\d+)*(?:\.\d+)?$/.test(word)) return false;
+
+        return true;
+      },
+    );
+    context.push(
+      ...new Set([
+        ...titleWithoutStopWords,
+        ...this.cleanupKeywords(this.tags),
+      ]),
+    );
+    this.keywords.push(...context);
+    this.keywords = Array.from(new Set(this.keywords));
+    return context;
+  }
+
+  /**
+   * Cleans up extracted keywords
+   * @private
+   * @returns {string[]} Cleaned keywords
+   */
+  cleanupKeywords(providedKeywords = null) {
+    const wordsToClean = providedKeywords || this.keywords;
+
+    const cleanedKeywords = wordsToClean
+      .map((word) => {
+        const cleaned = word
+          // First remove trailing punctuation and symbols (any script)
+          .replace(/[\p{P}\p{S}]+$/gu, "")
+          // Remove leading punctuation and symbols
+          .replace(/^[\p{P}\p{S}]+/gu, "")
+          // Remove possessives before stray quotes, which would leave "OpenAIs"
+          .replace(/['’]s(?![\p{L}\p{M}\p{N}])/gu, "")
+          // Optional: clean up any remaining quotes or apostrophes anywhere in the word
+          .replace(/['"‘’‚‛“”„«»‹›]/g, "")
+          // Optional: remove multiple spaces between words
+          .replace(/\s+/g, " ")
+          // Optional: trim any remaining whitespace
+          .trim();
+
+        return cleaned;
+      })
+      .filter(Boolean);
+
+    if (!providedKeywords) {
+      this.keywords = Array.from(
+        new Set(this.removeStopWords(cleanedKeywords)),
+      );
+    }
+    return cleanedKeywords;
+  }
+
+  /**
+   * Merges keywords contained in other keywords ("Galaxy" in "Galaxy S24
+   * Ultra"). Containment compares whole words, ignoring case, punctuation and
+   * possessives, so "Galaxy S24-Ultra's" contains "galaxy" and equals
+   * "Galaxy S24 Ultra". Chinese, Japanese and Thai keywords are compared on
+   * the words the segmenter splits them into. Keywords that
+   * compare equal are merged into the first one. The merged keywords are
+   * recorded in this.absorbed, by the keyword that absorbed them; a keyword
+   * merged into one that is merged in turn ends up with the last one.
+   * Canonical names of the aliases option are never merged into other
+   * keywords, so "Apple" keeps the mentions of "AAPL" next to "Apple CEO".
+   * @param {string[]} [keywords] - Keywords to merge, defaults to the extracted keywords or, when there are none, the content's terms
+   * @param {Object} [options] - Merging options
+   * @param {string} [options.policy="longest"] - "longest" keeps the longer keyword, "shortest" the shorter one, and "both" keeps the shorter one too when it occurs on its own often enough
+   * @param {number} [options.minIndependentOccurrences=2] - With the "both" policy, occurrences outside the longer keywords needed to keep a shorter one
+   * @returns {string[]} Remaining keywords, longest first
+   * @throws {Error} When the policy is unknown
+   */
+  removeSubsetWords(keywords = null, options = {}) {
+    const { policy = "longest", minIndependentOccurrences = 2 } = options;
+    if (!["longest", "shortest", "both"].includes(policy)) {
+      throw new Error(`Unknown subset policy: ${policy}`);
+    }
+
+    let source = keywords;
+    if (!source) {
+      source = this.keywords.length
+        ? this.keywords
+        : this.cleanupKeywords(this.removeStopWords(this.tokenize()));
+    }
+
+    const absorbed = new Map();
+    // Merged keywords, by the keyword they were merged into
+    const removed = new Map();
+    const absorb = (into, keyword) => {
+      while (removed.has(into)) into = removed.get(into);
+      if (into === keyword) return;
+      absorbed.set(into, [
+        ...(absorbed.get(into) || []),
+        keyword,
+        ...(absorbed.get(keyword) || []),
+      ]);
+      absorbed.delete(keyword);
+      removed.set(keyword, into);
+    };
+
+    const wordsOf = (text) => {
+      const folded = this.foldCase(text).replace(
+        /['’]s(?![\p{L}\p{M}\p{N}])/gu,
+        "",
+      );
+      return (this.segmented ? this.tokenizeText(folded) : [folded])
+        .flatMap((part) => part.split(/[\s\p{Pd}/]+/u))
+        .map((word) => word.replace(/[\p{P}\p{S}]/gu, ""))
+        .filter(Boolean);
+    };
+
+    // Keywords that compare equal are merged into the first one
+    const entries = new Map();
+    Array.from(new Set(source)).forEach((keyword) => {
+      const words = wordsOf(keyword);
+      const key = words.join(" ");
+      if (!words.length) return;
+      if (entries.has(key)) {
+        absorb(entries.get(key).keyword, keyword);
+      } else {
+        // A keyword linked to other forms contains what any of them contains
+        const forms = (this.forms.get(keyword) || [keyword]).map(wordsOf);
+        entries.set(key, { keyword, words, forms });
+      }
+    });
+
+    const unique = Array.from(entries.values());
+    const contains = (longer, shorter) =>
+      longer !== shorter &&
+      longer.forms.some((longerWords) =>
+        shorter.forms.some(
+          (shorterWords) =>
+            longerWords.length > shorterWords.length &&
+            longerWords.some((_, i) =>
+              shorterWords.every((word, j) => longerWords[i + j] === word),
+            ),
+        ),
+      );
+
+    unique.forEach((entry) => {
+      if (this.aliases && this.aliases.getForms(entry.keyword).length) return;
+
+      if (policy === "shortest") {
+        const parts = unique
+          .filter((other) => contains(entry, other))
+          .sort((a, b) => a.words.length - b.words.length);
+        if (parts.length) absorb(parts[0].keyword, entry.keyword);
+        return;
+      }
+
+      const containers = unique
+        .filter((other) => contains(other, entry))
+        .sort((a, b) => b.words.length - a.words.length);
+      if (!containers.length) return;
+
+      if (policy === "both") {
+        const spans = containers.flatMap(
+          (container) => this.findOccurrences(container.keyword).occurrences,
+        );
+        const independent = this.findOccurrences(
+          entry.keyword,
+        ).occurrences.filter(
+          ({ start, end }) =>
+            !spans.some((span) => span.start <= start && end <= span.end),
+        );
+        if (independent.length >= minIndependentOccurrences) return;
+      }
+      absorb(containers[0].keyword, entry.keyword);
+    });
+
+    const remaining = unique
+      .map((entry) => entry.keyword)
+      .filter((keyword) => !removed.has(keyword))
+      .sort((a, b) => b.length - a.length);
+
+    this.absorbed = absorbed;
+    if (!keywords) this.keywords = remaining;
+    return remaining;
+  }
+
+  /**
+   * Replaces keywords that are aliases of a canonical entity ("Apple Inc.",
+   * "AAPL") by its canonical name ("Apple"). The canonical keyword occurs
+   * wherever any of its names or of the replaced keywords does.
+   * @param {string[]} [keywords] - Keywords to canonicalize, defaults to the extracted keywords
+   * @returns {string[]} Keywords with aliases replaced, without duplicates
+   */
+  applyAliases(keywords = null) {
+    const source = keywords || this.keywords;
+    if (!this.aliases) return source;
+
+    const canonicalized = source.map((keyword) => {
+      const canonical = this.aliases.resolve(keyword);
+      if (!canonical) return keyword;
+
+      const forms =
+        this.forms.get(canonical) || this.aliases.getForms(canonical);
+      this.forms.set(canonical, Array.from(new Set([...forms, keyword])));
+      return canonical;
+    });
+
+    const unique = Array.from(new Set(canonicalized));
+    if (!keywords) this.keywords = unique;
+    return unique;
+  }
+
+  /**
+   * Finds acronym definitions in the content: a long form followed by its
+   * acronym in parentheses ("European Central Bank (ECB)") or the reverse
+   * ("ECB (European Central Bank)")
+   * @returns {Array<{acronym: string, expansion: string}>} Acronym definitions in order of appearance
+   */
+  findAcronyms() {
+    return findAcronyms(this.splitSentences());
+  }
+
+  /**
+   * Finds statistically significant multi-word phrases (collocations) such as
+   * "supply chain" or "interest rates", scored by log-likelihood ratio or PMI
+   * @param {Object} [options] - Detection options
+   * @param {string} [options.measure="llr"] - "llr" (log-likelihood ratio) or "pmi" (pointwise mutual information)
+   * @param {number} [options.maxWords=3] - Longest n-gram to consider (2 or 3)
+   * @param {number} [options.minFrequency=2] - Minimum occurrences of an n-gram
+   * @param {number} [options.minScore] - Minimum score, 3.84 for llr and 0 for pmi by default
+   * @param {number} [options.limit] - Maximum number of phrases to return
+   * @returns {Array<{keyword: string, score: number}>} Phrases sorted by descending score
+   */
+  findCollocations(options = {}) {
+    const collocations = findCollocations(
+      this.tokenize(),
+      (word) => this.isStopWord(word),
+      options,
+    );
+    this.keywords = Array.from(
+      new Set([...this.keywords, ...collocations.map((c) => c.keyword)]),
+    );
+    return collocations;
+  }
+
+  /**
+   * Finds where a keyword occurs in the content and title. Matching tolerates
+   * the punctuation and possessives removed when keywords are cleaned, and
+   * single words also match their variants when a stemmer or lemmatizer is
+   * set. A keyword linked to other forms (an acronym and its expansion)
+   * occurs wherever any of its forms does.
+   * @param {string} keyword - Keyword to find
+   * @returns {{occurrences: Array<{start: number, end: number, sentenceIndex: number}>, titleOccurrences: Array<{start: number, end: number, sentenceIndex: number}>}} Character offsets (end exclusive) into content and title
+   */
+  findOccurrences(keyword) {
+    const found = (this.forms.get(keyword) || [keyword]).map((form) =>
+      this.findFormOccurrences(form),
+    );
+    const merge = (lists) => {
+      // Overlapping matches of different forms count once, as the longest
+      const matches = lists
+        .flat()
+        .sort((a, b) => a.start - b.start || b.end - a.end);
+      let end = -1;
+      return matches
+        .filter((match) => {
+          const overlaps = match.start < end;
+          end = Math.max(end, match.end);
+          return !overlaps;
+        })
+        .map((match) => ({ ...match }));
+    };
+
+    return {
+      occurrences: merge(found.map((result) => result.occurrences)),
+      titleOccurrences: merge(found.map((result) => result.titleOccurrences)),
+    };
+  }
+
+  /**
+   * Finds where one form of a keyword occurs in the content and title. The
+   * content does not change, so each form is searched once and the sentence
+   * ranges and variant index of each text are computed once.
+   * @private
+   * @param {string} form - Keyword or one of its forms
+   * @returns {{occurrences: Array<Object>, titleOccurrences: Array<Object>}} Cached occurrences, not to be modified
+   */
+  findFormOccurrences(form) {
+    if (!this.occurrenceCache.has(form)) {
+      const variants = this.normalizer && !/\s/.test(form.trim());
+      const find = (text) => {
+        if (!text) return [];
+        if (!this.textCache.has(text)) {
+          this.textCache.set(text, {
+            ranges: sentenceRanges(text),
+            starts: indexWordStarts(text),
+          });
+        }
+        const cache = this.textCache.get(text);
+        if (!variants) {
+          return findOccurrences(text, form, cache.ranges, cache.starts);
+        }
+
+        const normalize = (word) => this.normalizeWord(word);
+        if (!cache.index) {
+          cache.index = indexWordVariants(text, normalize, cache.ranges);
+        }
+        return findWordVariants(text, form, normalize, cache.index);
+      };
+      this.occurrenceCache.set(form, {
+        occurrences: find(this.content),
+        titleOccurrences: find(this.title),
+      });
+    }
+    return this.occurrenceCache.get(form);
+  }
+
+  /**
+   * Collects the scoring signals for a keyword
+   * @private
+   * @param {string} keyword - Keyword to describe
+   * @param {Object} signals - Keywords found by each detection method
+   * @param {Set<string>} signals.properNouns - Proper nouns found in the content
+   * @param {Set<string>} signals.titleContext - Keywords found in the title
+   * @param {Set<string>} signals.phrases - Collocations found in the content
+   * @returns {{keyword: string, properNoun: boolean, phrase: boolean, frequency: number, title: boolean, position: number|null, structure: number}} Keyword signals
+   */
+  describeKeyword(keyword, { properNouns, titleContext, phrases }) {
+    const { occurrences, titleOccurrences } = this.findOccurrences(keyword);
+    const forms = this.forms.get(keyword) || [keyword];
+
+    return {
+      keyword,
+      properNoun: forms.some((form) => properNouns.has(form)),
+      phrase: forms.some((form) => phrases.has(form)),
+      frequency: occurrences.length,
+      title:
+        forms.some((form) => titleContext.has(form)) ||
+        titleOccurrences.length > 0,
+      position: occurrences.length
+        ? occurrences[0].start / Math.max(1, this.content.length)
+        : null,
+      structure: occurrences.reduce(
+        (best, occurrence) =>
+          Math.max(
+            best,
+            structureWeight(
+              this.sections,
+              occurrence,
+              this.options.structureWeights,
+            ),
+          ),
+        0,
+      ),
+    };
+  }
+
+  /**
+   * Extracts keyphrases with RAKE (Rapid Automatic Keyword Extraction), using
+   * stop words and punctuation as phrase delimiters
+   * @param {Object} [options] - RAKE options
+   * @param {number} [options.maxWords=4] - Longest phrase to keep, in words
+   * @param {number} [options.minFrequency=1] - Minimum occurrences of a phrase
+   * @param {number} [options.limit] - Maximum number of phrases to return
+   * @returns {Array<{keyword: string, score: number}>} Phrases sorted by descending score
+   */
+  extractRake(options = {}) {
+    return rake(this.tokenize(), (word) => this.isStopWord(word), options);
+  }
+
+  /**
+   * Extracts keyphrases with TextRank, ranking words by their centrality in a
+   * co-occurrence graph and merging adjacent top-ranked words
+   * @param {Object} [options] - TextRank options
+   * @param {number} [options.window=2] - Co-occurrence window size, in filtered words
+   * @param {number} [options.damping=0.85] - PageRank damping factor
+   * @param {number} [options.maxIterations=30] - PageRank iteration limit
+   * @param {number} [options.tolerance=0.0001] - PageRank convergence threshold
+   * @param {number} [options.topRatio=1/3] - Share of ranked words used to build keyphrases
+   * @param {number} [options.limit] - Maximum number of keyphrases to return
+   * @returns {Array<{keyword: string, score: number}>} Keyphrases sorted by descending score
+   */
+  extractTextRank(options = {}) {
+    return textRank(this.tokenize(), (word) => this.isStopWord(word), options);
+  }
+
+  /**
+   * Extracts keywords with YAKE-style statistical features of a single
+   * document (casing, position, frequency, context relatedness and sentence
+   * spread). No corpus is needed.
+   * @param {Object} [options] - YAKE options
+   * @param {number} [options.maxWords=3] - Longest n-gram to consider
+   * @param {number} [options.window=1] - Context window for relatedness, in words
+   * @param {number} [options.dedupThreshold=0.9] - Similarity above which a candidate is a near duplicate
+   * @param {number} [options.limit] - Maximum number of keywords to return
+   * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+   */
+  extractYake(options = {}) {
+    return yake(
+      this.splitSentences().map((sentence) => this.tokenizeText(sentence)),
+      (word) => this.isStopWord(word),
+      options,
+    );
+  }
+
+  /**
+   * Gets the normalized terms of the content: stop word filtered, cleaned,
+   * lowercase tokens without pure numbers
+   * @returns {string[]} Array of terms
+   */
+  extractTerms() {
+    return this.cleanupKeywords(this.removeStopWords(this.tokenize()))
+      .map((word) => word.toLowerCase())
+      .filter((word) => !/^\d+$/.test(word));
+  }
+
+  /**
+   * Ranks the content's terms by TF-IDF or BM25 against the extractor's
+   * corpus. The terms come from extractTerms, so they follow this
+   * extractor's options.
+   * @param {Object} [options] - Weighting options
+   * @param {string} [options.weighting="tfidf"] - "tfidf" or "bm25"
+   * @param {number} [options.k1=1.2] - BM25 term frequency saturation
+   * @param {number} [options.b=0.75] - BM25 length normalization
+   * @param {number} [options.limit] - Maximum number of keywords to return
+   * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+   * @throws {Error} When the extractor has no corpus
+   */
+  extractTfIdf(options = {}) {
+    if (!this.corpus) {
+      throw new Error("A corpus is required for TF-IDF ranking");
+    }
+    return this.corpus.extractFromTerms(this.extractTerms(), options);
+  }
+
+  /**
+   * Gets the final processed keywords, ranked by score
+   * @param {Object} [options] - Ranking options
+   * @param {string} [options.algorithm="default"] - "default" combines proper nouns, frequency and title context; "rake", "textrank" and "yake" use the matching extract method; "tfidf" and "bm25" use extractTfIdf
+   * @param {Object} [options.weights] - Signal weights (properNoun, phrase, frequency, title, position, structure)
+   * @param {Object|boolean} [options.collocations] - Options for findCollocations, or false to skip phrase detection
+   * @param {Object|boolean} [options.subsets] - Options for removeSubsetWords, or false to keep keywords contained in longer ones
+   * @param {string|boolean} [options.acronyms="both"] - How an acronym linked to its expansion is shown: "acronym" ("ECB"), "expansion" ("European Central Bank"), "both" ("European Central Bank (ECB)"), or false to keep them apart
+   * @param {number} [options.limit] - Maximum number of keywords to return
+   * @param {boolean} [options.occurrences=true] - Include the character offsets of each keyword
+   * @returns {Array<{keyword: string, score: number, occurrences: Array<{start: number, end: number, sentenceIndex: number}>, titleOccurrences: Array<{start: number, end: number, sentenceIndex: number}>, absorbed?: string[], acronym?: string, expansion?: string, surfaceForms?: string[]}>} Keywords sorted by descending score, with the keywords merged into them by removeSubsetWords, both forms of linked acronyms and the spellings of canonical aliases
+   * @throws {Error} When the algorithm is unknown
+   */
+  extractKeywords(options = {}) {
+    const { algorithm = "default" } = options;
+    let ranked;
+
+    switch (algorithm) {
+      case "default":
+        ranked = this.extractDefault(options);
+        break;
+      case "rake":
+        ranked = this.extractRake(options);
+        break;
+      case "textrank":
+        ranked = this.extractTextRank(options);
+        break;
+      case "yake":
+        ranked = this.extractYake(options);
+        break;
+      case "tfidf":
+      case "bm25":
+        ranked = this.extractTfIdf({ ...options, weighting: algorithm });
+        break;
+      default:
+        throw new Error(`Unknown algorithm: ${algorithm}`);
+    }
+
+    if (options.occurrences === false) return ranked;
+    return ranked.map((result) => ({
+      ...result,
+      ...this.findOccurrences(result.keyword),
+    }));
+  }
+
+  /**
+   * Analyzes the content without changing the extractor: every step runs on
+   * a fresh copy, so the result does not depend on earlier calls and is the
+   * same however many times it is requested
+   * @param {Object} [options] - extractKeywords options, plus:
+   * @param {number} [options.topWords=7] - Number of most frequent words reported in frequencies
+   * @returns {Readonly<{keywords: Array<Object>, properNouns: string[], frequencies: Array<{word: string, frequency: number}>, titleContext: string[], tokens: string[], sentences: string[], stats: {characters: number, sentences: number, tokens: number, words: number, keywords: number}}>} Deeply frozen analysis: the keywords as returned by extractKeywords, and what each detection step found
+   * @throws {Error} When an option is invalid
+   */
+  analyze(options = {}) {
+    const { topWords = 7, ...extractOptions } = options;
+    const keywords = this.fork().extractKeywords(extractOptions);
+    const tokens = this.tokenize();
+    const sentences = this.splitSentences();
+
+    return deepFreeze({
+      keywords,
+      properNouns: this.fork().findProperNouns(),
+      frequencies: this.fork().findHighFrequencyKeywords(topWords),
+      titleContext: this.fork().findContextFromTitle() || [],
+      tokens,
+      sentences,
+      stats: {
+        characters: this.content.length,
+        sentences: sentences.filter((sentence) => sentence.trim()).length,
+        tokens: tokens.length,
+        words: tokens.filter((token) => /[\p{L}\p{N}]/u.test(token)).length,
+        keywords: keywords.length,
+      },
+    });
+  }
+
+  /**
+   * Marks the keywords up in the content, for instance to review them in
+   * the article they were extracted from. Where matches overlap, the longer
+   * one is marked.
+   * @param {Object} [options] - extractKeywords options, plus:
+   * @param {Array<{keyword: string, score: number}>} [options.keywords] - Results to mark, extracted with the other options when omitted
+   * @param {string|Function} [options.format="html"] - "html" wraps occurrences in <mark data-keyword data-score>, "markdown" in bold, or a function (text, result) => string returning the markup for an occurrence
+   * @param {boolean} [options.escape] - Escape the content for HTML, on by default for the "html" format only
+   * @returns {string} The content with keyword occurrences marked up. For HTML and Markdown input this is the extracted text.
+   * @throws {Error} When the format is unknown
+   */
+  highlight(options = {}) {
+    const { keywords, format, escape, ...extractOptions } = options;
+    const results = (
+      keywords || this.extractKeywords({ ...extractOptions, occurrences: true })
+    ).map((result) =>
+      result.occurrences
+        ? result
+        : { ...result, ...this.findOccurrences(result.keyword) },
+    );
+    return renderHighlights(this.content, results, { format, escape });
+  }
+
+  /**
+   * Copies the extractor without the state left by earlier calls
+   * @private
+   * @returns {KeywordExtractor} Extractor for the same content and options
+   */
+  fork() {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, {
+      keywords: [],
+      words: [],
+      absorbed: new Map(),
+      forms: new Map(),
+      acronyms: new Map(),
+    });
+  }
+
+  /**
+   * Ranks keywords found by proper noun, frequency, title and phrase
+   * detection by their combined signals
+   * @private
+   * @param {Object} [options] - Ranking options (see extractKeywords)
+   * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+   */
+  extractDefault(options = {}) {
+    this.forms = new Map();
+    this.acronyms = new Map();
+    const properNouns = new Set(this.findProperNouns());
+    this.findHighFrequencyKeywords();
+    const titleContext = new Set(this.findContextFromTitle() || []);
+    this.cleanupKeywords();
+
+    // Collocations are added after cleanup, which would strip the stop words
+    // inside phrases such as "bill of rights"
+    const { collocations = {} } = options;
+    const phrases = new Set(
+      collocations === false
+        ? []
+        : this.findCollocations(collocations).map((c) => c.keyword),
+    );
+
+    // Aliases ("Apple Inc.", "AAPL") are merged under their canonical name
+    this.applyAliases();
+
+    // Case variants ("features", "Features") match the same text, so keep
+    // one of them, preferring the proper noun spelling
+    const variants = new Map();
+    [...this.keywords]
+      .sort((a, b) => b.length - a.length)
+      .forEach((keyword) => {
+        const key = keyword.toLowerCase();
+        if (!variants.has(key) || properNouns.has(keyword)) {
+          variants.set(key, keyword);
+        }
+      });
+
+    const { acronyms = "both", subsets = {} } = options;
+    let keywords = Array.from(variants.values());
+    if (acronyms !== false) {
+      keywords = this.linkAcronyms(keywords, acronyms);
+    }
+
+    // Keywords contained in longer ones ("Galaxy" in "Galaxy S24 Ultra")
+    this.absorbed = new Map();
+    if (subsets !== false) {
+      keywords = this.removeSubsetWords(keywords, subsets);
+    }
+
+    const candidates = keywords.map((keyword) =>
+      this.describeKeyword(keyword, { properNouns, titleContext, phrases }),
+    );
+    return rankKeywords(candidates, options).map((result) => ({
+      ...result,
+      ...(this.absorbed.has(result.keyword) && {
+        absorbed: this.absorbed.get(result.keyword),
+      }),
+      ...this.acronyms.get(result.keyword),
+      ...(this.aliases &&
+        this.aliases.getForms(result.keyword).length && {
+          surfaceForms: this.findSurfaceForms(result.keyword),
+        }),
+    }));
+  }
+
+  /**
+   * Lists the distinct spellings of a keyword's occurrences in the content
+   * and title
+   * @private
+   * @param {string} keyword - Keyword
+   * @returns {string[]} Surface forms in order of first appearance
+   */
+  findSurfaceForms(keyword) {
+    const { occurrences, titleOccurrences } = this.findOccurrences(keyword);
+    // Occurrences leave out possessives, which are spellings too ("Apple's")
+    const spell = (text, { start, end }) =>
+      text.slice(start, end) +
+      (text.slice(end).match(/^['’]s(?![\p{L}\p{M}\p{N}])/u) || [""])[0];
+    return Array.from(
+      new Set([
+        ...occurrences.map((occurrence) => spell(this.content, occurrence)),
+        ...titleOccurrences.map((occurrence) => spell(this.title, occurrence)),
+      ]),
+    );
+  }
+
+  /**
+   * Adds a keyword for each acronym defined in the content, linked to both
+   * forms so their occurrences are counted together, in place of the
+   * acronym and expansion keywords
+   * @private
+   * @param {string[]} keywords - Candidate keywords
+   * @param {string} display - "acronym", "expansion" or "both"
+   * @returns {string[]} Keywords with linked acronyms
+   * @throws {Error} When the display option is unknown
+   */
+  linkAcronyms(keywords, display) {
+    if (!["acronym", "expansion", "both"].includes(display)) {
+      throw new Error(`Unknown acronym display: ${display}`);
+    }
+
+    let linked = keywords;
+    this.findAcronyms().forEach(({ acronym, expansion }) => {
+      const forms = [acronym, expansion].map((form) => form.toLowerCase());
+      const isForm = (keyword) => forms.includes(keyword.toLowerCase());
+
+      const keyword =
+        display === "acronym"
+          ? acronym
+          : display === "expansion"
+            ? expansion
+            : `${expansion} (${acronym})`;
+      linked = [...linked.filter((k) => !isForm(k)), keyword];
+      // The definition itself is one mention of the keyword
+      this.forms.set(keyword, [
+        `${expansion} (${acronym})`,
+        expansion,
+        acronym,
+      ]);
+      this.acronyms.set(keyword, { acronym, expansion });
+    });
+    return linked;
+  }
+}
+
+module.exports = KeywordExtractor;
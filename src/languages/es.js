@@ -0,0 +1,156 @@
+const stopWords = new Set([
+  "a",
+  "al",
+  "algo",
+  "algunas",
+  "algunos",
+  "ante",
+  "antes",
+  "así",
+  "aunque",
+  "año",
+  "años",
+  "cada",
+  "como",
+  "con",
+  "contra",
+  "cual",
+  "cuando",
+  "de",
+  "del",
+  "desde",
+  "donde",
+  "dos",
+  "durante",
+  "e",
+  "el",
+  "ella",
+  "ellas",
+  "ellos",
+  "en",
+  "entonces",
+  "entre",
+  "era",
+  "erais",
+  "eran",
+  "eras",
+  "eres",
+  "es",
+  "esa",
+  "esas",
+  "ese",
+  "eso",
+  "esos",
+  "esta",
+  "estaba",
+  "estaban",
+  "estado",
+  "estamos",
+  "estar",
+  "estas",
+  "este",
+  "esto",
+  "estos",
+  "estoy",
+  "está",
+  "están",
+  "fue",
+  "fueron",
+  "fui",
+  "fuimos",
+  "ha",
+  "había",
+  "habían",
+  "hace",
+  "han",
+  "has",
+  "hasta",
+  "hay",
+  "la",
+  "las",
+  "le",
+  "les",
+  "lo",
+  "los",
+  "me",
+  "mi",
+  "mis",
+  "mucho",
+  "muchos",
+  "muy",
+  "más",
+  "mí",
+  "nada",
+  "ni",
+  "no",
+  "nos",
+  "nosotras",
+  "nosotros",
+  "nuestra",
+  "nuestras",
+  "nuestro",
+  "nuestros",
+  "o",
+  "os",
+  "otra",
+  "otras",
+  "otro",
+  "otros",
+  "para",
+  "pero",
+  "poco",
+  "por",
+  "porque",
+  "que",
+  "quien",
+  "quienes",
+  "qué",
+  "se",
+  "sea",
+  "sean",
+  "según",
+  "ser",
+  "será",
+  "sido",
+  "siempre",
+  "sin",
+  "sobre",
+  "sois",
+  "solo",
+  "somos",
+  "son",
+  "su",
+  "sus",
+  "sólo",
+  "también",
+  "tanto",
+  "te",
+  "tenemos",
+  "tener",
+  "tengo",
+  "ti",
+  "tiene",
+  "tienen",
+  "todo",
+  "todos",
+  "tras",
+  "tu",
+  "tus",
+  "tú",
+  "un",
+  "una",
+  "unas",
+  "uno",
+  "unos",
+  "usted",
+  "ustedes",
+  "vosotras",
+  "vosotros",
+  "y",
+  "ya",
+  "yo",
+  "él",
+  "éramos",
+]);
+
+module.exports = stopWords;
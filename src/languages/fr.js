@@ -0,0 +1,157 @@
+const stopWords = new Set([
+  "ai",
+  "aie",
+  "aient",
+  "aies",
+  "ait",
+  "alors",
+  "après",
+  "as",
+  "au",
+  "aucun",
+  "aussi",
+  "autre",
+  "aux",
+  "avaient",
+  "avais",
+  "avait",
+  "avant",
+  "avec",
+  "avez",
+  "aviez",
+  "avions",
+  "avoir",
+  "avons",
+  "ayant",
+  "bon",
+  "c",
+  "car",
+  "ce",
+  "ceci",
+  "cela",
+  "celle",
+  "celles",
+  "celui",
+  "ces",
+  "cet",
+  "cette",
+  "ceux",
+  "chaque",
+  "ci",
+  "comme",
+  "comment",
+  "d",
+  "dans",
+  "de",
+  "depuis",
+  "des",
+  "donc",
+  "dont",
+  "du",
+  "elle",
+  "elles",
+  "en",
+  "encore",
+  "entre",
+  "es",
+  "est",
+  "et",
+  "eu",
+  "eux",
+  "fait",
+  "font",
+  "furent",
+  "fut",
+  "ici",
+  "il",
+  "ils",
+  "j",
+  "je",
+  "jusqu",
+  "l",
+  "la",
+  "le",
+  "les",
+  "leur",
+  "leurs",
+  "lors",
+  "lui",
+  "m",
+  "ma",
+  "mais",
+  "me",
+  "mes",
+  "moi",
+  "mon",
+  "même",
+  "n",
+  "ne",
+  "ni",
+  "nos",
+  "notre",
+  "nous",
+  "on",
+  "ont",
+  "ou",
+  "où",
+  "par",
+  "parce",
+  "pas",
+  "peu",
+  "peut",
+  "plus",
+  "pour",
+  "pourquoi",
+  "qu",
+  "quand",
+  "que",
+  "quel",
+  "quelle",
+  "quelles",
+  "quels",
+  "qui",
+  "s",
+  "sa",
+  "sans",
+  "se",
+  "selon",
+  "sera",
+  "seront",
+  "ses",
+  "si",
+  "sien",
+  "son",
+  "sont",
+  "sous",
+  "soyez",
+  "sur",
+  "t",
+  "ta",
+  "te",
+  "tes",
+  "toi",
+  "ton",
+  "tous",
+  "tout",
+  "toute",
+  "toutes",
+  "très",
+  "tu",
+  "un",
+  "une",
+  "vos",
+  "votre",
+  "vous",
+  "y",
+  "à",
+  "ça",
+  "également",
+  "étaient",
+  "étais",
+  "était",
+  "étant",
+  "été",
+  "être",
+]);
+
+module.exports = stopWords;
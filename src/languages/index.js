@@ -0,0 +1,107 @@
+const english = require("../stopWords");
+
+/**
+ * Registry of stop word lists keyed by language code
+ * @type {Map<string, Set<string>>}
+ */
+const registry = new Map([
+  ["en", english],
+  ["de", require("./de")],
+  ["es", require("./es")],
+  ["fr", require("./fr")],
+  ["pt", require("./pt")],
+  ["tr", require("./tr")],
+  ["zh", require("./zh")],
+  ["ja", require("./ja")],
+  ["th", require("./th")],
+]);
+
+/**
+ * Normalizes a language code such as "de-DE" or "PT_br" to its base code
+ * @param {string} language - Language code
+ * @returns {string} Lowercase base language code
+ */
+function normalizeLanguage(language) {
+  return String(language).toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Gets the stop word list for a language
+ * @param {string} [language="en"] - Language code
+ * @returns {Set<string>} Stop word list for the language
+ * @throws {Error} When the language has no registered stop word list
+ */
+function getStopWords(language = "en") {
+  const stopWords = registry.get(normalizeLanguage(language));
+  if (!stopWords) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+  return stopWords;
+}
+
+/**
+ * Registers (or replaces) the stop word list for a language
+ * @param {string} language - Language code
+ * @param {Iterable<string>} words - Stop words for the language
+ * @throws {Error} When words is not iterable
+ */
+function registerLanguage(language, words) {
+  if (!words || typeof words[Symbol.iterator] !== "function") {
+    throw new Error("Stop words must be an iterable of strings");
+  }
+  registry.set(
+    normalizeLanguage(language),
+    new Set(
+      Array.from(words, (word) =>
+        word.normalize("NFC").toLocaleLowerCase(normalizeLanguage(language)),
+      ),
+    ),
+  );
+}
+
+/**
+ * Builds the stop word list for an extractor from its options. The shared
+ * registry lists are never mutated; a copy is made whenever words are added
+ * or removed.
+ * @param {Object} [options] - Stop word options
+ * @param {string} [options.language="en"] - Language of the base list
+ * @param {Iterable<string>} [options.stopWords] - Replaces the base list entirely
+ * @param {Iterable<string>} [options.extraStopWords] - Words to filter in addition to the base list
+ * @param {Iterable<string>} [options.keepWords] - Words to keep even when in the base list
+ * @returns {Set<string>} Stop word list
+ */
+function resolveStopWords(options = {}) {
+  const { language = "en", stopWords, extraStopWords, keepWords } = options;
+
+  if (!stopWords && !extraStopWords && !keepWords) {
+    return getStopWords(language);
+  }
+
+  const resolved = stopWords
+    ? new Set(Array.from(stopWords, (word) => word.toLowerCase()))
+    : new Set(getStopWords(language));
+
+  for (const word of extraStopWords || []) {
+    resolved.add(word.toLowerCase());
+  }
+  for (const word of keepWords || []) {
+    resolved.delete(word.toLowerCase());
+  }
+  return resolved;
+}
+
+/**
+ * Lists the language codes that have a registered stop word list
+ * @returns {string[]} Registered language codes
+ */
+function getLanguages() {
+  return Array.from(registry.keys());
+}
+
+module.exports = {
+  getStopWords,
+  resolveStopWords,
+  registerLanguage,
+  getLanguages,
+  normalizeLanguage,
+};
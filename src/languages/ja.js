@@ -0,0 +1,93 @@
+const stopWords = new Set([
+  "あっ",
+  "あの",
+  "あり",
+  "ある",
+  "い",
+  "いう",
+  "いる",
+  "う",
+  "および",
+  "おり",
+  "か",
+  "から",
+  "が",
+  "き",
+  "ここ",
+  "こと",
+  "この",
+  "これ",
+  "さ",
+  "さらに",
+  "し",
+  "しかし",
+  "する",
+  "ず",
+  "せ",
+  "そこ",
+  "その",
+  "それ",
+  "た",
+  "たち",
+  "ため",
+  "たり",
+  "だ",
+  "だっ",
+  "つ",
+  "て",
+  "で",
+  "でき",
+  "できる",
+  "です",
+  "でも",
+  "と",
+  "という",
+  "として",
+  "どの",
+  "どれ",
+  "な",
+  "ない",
+  "なお",
+  "なかっ",
+  "なく",
+  "なっ",
+  "など",
+  "なら",
+  "なり",
+  "なる",
+  "に",
+  "において",
+  "における",
+  "について",
+  "によって",
+  "により",
+  "による",
+  "に関する",
+  "の",
+  "ので",
+  "のみ",
+  "は",
+  "ば",
+  "へ",
+  "ました",
+  "ます",
+  "また",
+  "まで",
+  "も",
+  "もの",
+  "や",
+  "よう",
+  "より",
+  "ら",
+  "られ",
+  "られる",
+  "れ",
+  "れる",
+  "を",
+  "ん",
+  "彼",
+  "彼女",
+  "私",
+]);
+
+module.exports = stopWords;
@@ -0,0 +1,128 @@
+const stopWords = new Set([
+  "a",
+  "ainda",
+  "ano",
+  "anos",
+  "ao",
+  "aos",
+  "após",
+  "aquela",
+  "aquelas",
+  "aquele",
+  "aqueles",
+  "aquilo",
+  "as",
+  "até",
+  "cada",
+  "com",
+  "como",
+  "da",
+  "das",
+  "de",
+  "dela",
+  "delas",
+  "dele",
+  "deles",
+  "depois",
+  "do",
+  "dos",
+  "e",
+  "ela",
+  "elas",
+  "ele",
+  "eles",
+  "em",
+  "entre",
+  "era",
+  "eram",
+  "essa",
+  "essas",
+  "esse",
+  "esses",
+  "esta",
+  "estas",
+  "estava",
+  "estavam",
+  "este",
+  "estes",
+  "está",
+  "estão",
+  "eu",
+  "foi",
+  "foram",
+  "há",
+  "isso",
+  "isto",
+  "já",
+  "lhe",
+  "lhes",
+  "mais",
+  "mas",
+  "me",
+  "mesmo",
+  "meu",
+  "meus",
+  "minha",
+  "minhas",
+  "muito",
+  "na",
+  "nas",
+  "nem",
+  "no",
+  "nos",
+  "nossa",
+  "nossas",
+  "nosso",
+  "nossos",
+  "num",
+  "numa",
+  "não",
+  "nós",
+  "o",
+  "os",
+  "ou",
+  "para",
+  "pela",
+  "pelas",
+  "pelo",
+  "pelos",
+  "por",
+  "qual",
+  "quando",
+  "que",
+  "quem",
+  "se",
+  "segundo",
+  "sem",
+  "ser",
+  "será",
+  "seu",
+  "seus",
+  "sido",
+  "sobre",
+  "sua",
+  "suas",
+  "só",
+  "também",
+  "te",
+  "tem",
+  "ter",
+  "teu",
+  "tinha",
+  "tua",
+  "tuas",
+  "tudo",
+  "têm",
+  "um",
+  "uma",
+  "umas",
+  "uns",
+  "você",
+  "vocês",
+  "vos",
+  "à",
+  "às",
+  "é",
+]);
+
+module.exports = stopWords;
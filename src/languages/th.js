@@ -0,0 +1,61 @@
+const stopWords = new Set([
+  "กว่า",
+  "กับ",
+  "การ",
+  "ก็",
+  "ของ",
+  "ขึ้น",
+  "ความ",
+  "คือ",
+  "คุณ",
+  "จะ",
+  "จาก",
+  "จึง",
+  "ฉัน",
+  "ซึ่ง",
+  "ด้วย",
+  "ตาม",
+  "ต้อง",
+  "ถึง",
+  "ถ้า",
+  "ทำ",
+  "ที่",
+  "ทุก",
+  "นั่น",
+  "นั้น",
+  "นี่",
+  "นี้",
+  "พวก",
+  "มัน",
+  "มา",
+  "มี",
+  "ยัง",
+  "ลง",
+  "ว่า",
+  "หรือ",
+  "หาก",
+  "อยู่",
+  "อย่าง",
+  "ออก",
+  "อีก",
+  "เขา",
+  "เข้า",
+  "เช่น",
+  "เป็น",
+  "เพื่อ",
+  "เมื่อ",
+  "เรา",
+  "แต่",
+  "แม้",
+  "และ",
+  "แล้ว",
+  "โดย",
+  "ใน",
+  "ให้",
+  "ได้",
+  "ไป",
+  "ไม่",
+  "ไว้",
+]);
+
+module.exports = stopWords;
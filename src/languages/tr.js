@@ -0,0 +1,113 @@
+const stopWords = new Set([
+  "acaba",
+  "ama",
+  "ancak",
+  "artık",
+  "aslında",
+  "az",
+  "bana",
+  "bazı",
+  "belki",
+  "ben",
+  "beni",
+  "benim",
+  "beri",
+  "bile",
+  "bir",
+  "biri",
+  "birkaç",
+  "birçok",
+  "biz",
+  "bize",
+  "bizi",
+  "bizim",
+  "bu",
+  "buna",
+  "bunda",
+  "bundan",
+  "bunlar",
+  "bunları",
+  "bunların",
+  "bunu",
+  "bunun",
+  "burada",
+  "da",
+  "daha",
+  "dahi",
+  "de",
+  "defa",
+  "değil",
+  "diye",
+  "diğer",
+  "dolayı",
+  "en",
+  "gibi",
+  "göre",
+  "hem",
+  "hep",
+  "hepsi",
+  "her",
+  "hiç",
+  "iki",
+  "ile",
+  "ise",
+  "için",
+  "işte",
+  "kadar",
+  "karşın",
+  "kendi",
+  "ki",
+  "kim",
+  "kimi",
+  "mi",
+  "mu",
+  "mü",
+  "mı",
+  "nasıl",
+  "ne",
+  "neden",
+  "nerede",
+  "nereye",
+  "niye",
+  "niçin",
+  "o",
+  "olan",
+  "olarak",
+  "oldu",
+  "olduğu",
+  "olmak",
+  "olması",
+  "on",
+  "ona",
+  "ondan",
+  "onlar",
+  "onlardan",
+  "onları",
+  "onların",
+  "onu",
+  "onun",
+  "orada",
+  "pek",
+  "rağmen",
+  "sadece",
+  "sanki",
+  "siz",
+  "sizi",
+  "tarafından",
+  "tüm",
+  "ve",
+  "veya",
+  "ya",
+  "yani",
+  "yine",
+  "yoksa",
+  "çok",
+  "çünkü",
+  "öyle",
+  "üzere",
+  "şey",
+  "şu",
+  "şunu",
+]);
+
+module.exports = stopWords;
@@ -0,0 +1,92 @@
+const stopWords = new Set([
+  "一个",
+  "上",
+  "下",
+  "不",
+  "与",
+  "个",
+  "中",
+  "为",
+  "之",
+  "也",
+  "了",
+  "于",
+  "从",
+  "他",
+  "他们",
+  "以",
+  "以及",
+  "们",
+  "会",
+  "但",
+  "但是",
+  "你们",
+  "关于",
+  "其",
+  "又",
+  "及",
+  "可以",
+  "各",
+  "向",
+  "吗",
+  "吧",
+  "呢",
+  "和",
+  "啊",
+  "因为",
+  "因此",
+  "在",
+  "她",
+  "她们",
+  "如果",
+  "它",
+  "它们",
+  "对",
+  "将",
+  "就",
+  "已经",
+  "并",
+  "很",
+  "我",
+  "我们",
+  "或",
+  "或者",
+  "所以",
+  "把",
+  "是",
+  "更",
+  "最",
+  "有",
+  "根据",
+  "此",
+  "没",
+  "没有",
+  "由",
+  "的",
+  "着",
+  "等",
+  "等等",
+  "给",
+  "而",
+  "而且",
+  "能",
+  "虽然",
+  "被",
+  "要",
+  "让",
+  "该",
+  "说",
+  "过",
+  "还",
+  "这",
+  "这个",
+  "这些",
+  "进行",
+  "通过",
+  "那",
+  "那个",
+  "那些",
+  "都",
+]);
+
+module.exports = stopWords;
@@ -0,0 +1,270 @@
+const { UNSPACED_SCRIPT, endsUnspaced } = require("./segmenter");
+
+/**
+ * Sentence boundaries used by KeywordExtractor#splitSentences. Periods after
+ * common titles ("Mr. Smith", "Dr. Lee") do not end a sentence. Chinese and
+ * Japanese end sentences with full-width marks and Thai with a space. Blank
+ * lines, which separate HTML blocks converted to text, also end a sentence.
+ * @type {RegExp}
+ */
+const SENTENCE_BOUNDARY =
+  /(?<!\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St))[.!?](?:\s+|\s*(?=\p{Lu}))|[。！？]\s*|(?<=\p{Script=Thai})\s+(?=\p{Script=Thai})|\s*\n[^\S\n]*\n\s*/gu;
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds the source of a pattern matching one word of a keyword, with
+ * apostrophes inside it and a possessive after it
+ * @param {string} word - Word to match
+ * @returns {string} Pattern source
+ */
+function wordPattern(word) {
+  return Array.from(word, escapeRegExp).join("['’]?").concat("(?:['’]s)?");
+}
+
+/**
+ * Punctuation and spaces keywordPattern allows between words
+ * @type {RegExp}
+ */
+const WORD_SEPARATOR = /[\s\p{P}\p{S}]*/uy;
+
+/**
+ * Builds a case-insensitive pattern matching a keyword as whole words in the
+ * text it was extracted from. Keywords are cleaned before they are returned,
+ * so the pattern tolerates what cleanupKeywords removes: a possessive after
+ * any word ("OpenAI's ChatGPT"), apostrophes inside a word ("OpenAIs") and
+ * punctuation between words.
+ * @param {string} keyword - Keyword to match
+ * @returns {RegExp} Global pattern for the keyword
+ */
+function keywordPattern(keyword) {
+  // Words of scripts written without spaces have no letter boundaries
+  const before = UNSPACED_SCRIPT.test(keyword[0])
+    ? ""
+    : "(?<![\\p{L}\\p{M}\\p{N}])";
+  const after = endsUnspaced(keyword) ? "" : "(?![\\p{L}\\p{M}\\p{N}])";
+  const words = keyword.split(/\s+/).filter(Boolean).map(wordPattern);
+  return new RegExp(
+    `${before}${words.join("[\\s\\p{P}\\p{S}]*?\\s[\\s\\p{P}\\p{S}]*?")}${after}`,
+    "giu",
+  );
+}
+
+/**
+ * Finds the character ranges of each sentence, matching the segments of
+ * KeywordExtractor#splitSentences
+ * @param {string} text - Text to split
+ * @returns {Array<{start: number, end: number}>} Sentence ranges
+ */
+function sentenceRanges(text) {
+  const ranges = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_BOUNDARY)) {
+    ranges.push({ start, end: match.index });
+    start = match.index + match[0].length;
+  }
+  ranges.push({ start, end: text.length });
+  return ranges;
+}
+
+/**
+ * Finds the sentence containing a character offset
+ * @param {Array<{start: number, end: number}>} ranges - Sentence ranges
+ * @param {number} offset - Character offset
+ * @returns {number} Index of the sentence
+ */
+function sentenceIndexAt(ranges, offset) {
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (ranges[middle].start <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Case folds a word for indexWordStarts, approximating the "i" flag
+ * @param {string} word - Word
+ * @returns {string} Folded word
+ */
+function foldWord(word) {
+  return word.toUpperCase().toLowerCase();
+}
+
+/**
+ * Indexes where keyword matches may start. keywordPattern lets a word end at
+ * an apostrophe ("rock" in "rock'n'roll") and skips the apostrophes inside
+ * it ("OpenAIs" for "OpenAI's"), so every word start is indexed under each
+ * apostrophe-free prefix of the word ("rock", "rockn", "rocknroll").
+ * @param {string} text - Text to index
+ * @returns {Map<string, number[]>} Offsets by case-folded word, ascending
+ */
+function indexWordStarts(text) {
+  const index = new Map();
+  for (const match of text.matchAll(
+    /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/gu,
+  )) {
+    const parts = match[0].split(/['’]/);
+    let offset = match.index;
+    parts.forEach((part, i) => {
+      let key = "";
+      parts.slice(i).forEach((next) => {
+        key += foldWord(next);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(offset);
+      });
+      offset += part.length + 1;
+    });
+  }
+  return index;
+}
+
+/**
+ * Matches the words of a keyword one at a time from a word start, as
+ * keywordPattern would. Words start with a letter or digit, which no
+ * separator contains, so each separator runs up to the next word.
+ * @param {string} text - Text searched
+ * @param {number} offset - Word start to match from
+ * @param {RegExp[]} words - Sticky pattern of each word, from wordPattern
+ * @returns {string|null} Matched text, or null when the keyword does not match there
+ */
+function matchWords(text, offset, words) {
+  let end = offset;
+  for (let i = 0; i < words.length; i++) {
+    if (i > 0) {
+      WORD_SEPARATOR.lastIndex = end;
+      const separator = WORD_SEPARATOR.exec(text)[0];
+      if (!/\s/.test(separator)) return null;
+      end += separator.length;
+    }
+    words[i].lastIndex = end;
+    const word = words[i].exec(text);
+    if (!word) return null;
+    end += word[0].length;
+  }
+
+  // A possessive followed by letters is given back, which ends the word
+  const match = text.slice(offset, end);
+  return /^[\p{L}\p{M}\p{N}]/u.test(text.slice(end, end + 2)) &&
+    !/['’]s$/.test(match)
+    ? null
+    : match;
+}
+
+/**
+ * Finds every occurrence of a keyword in a text
+ * @param {string} text - Text to search
+ * @param {string} keyword - Keyword to find
+ * @param {Array<{start: number, end: number}>} [ranges] - Sentence ranges of the text, from sentenceRanges, to avoid splitting it again
+ * @param {Map<string, number[]>} [starts] - Word starts of the text, from indexWordStarts, to only try the keyword where its first word starts
+ * @returns {Array<{start: number, end: number, sentenceIndex: number}>} Occurrences, end exclusive and without a trailing possessive
+ */
+function findOccurrences(
+  text,
+  keyword,
+  ranges = sentenceRanges(text),
+  starts = null,
+) {
+  const words = keyword.split(/\s+/).filter(Boolean);
+  let matches;
+  // Letter classes are slow to compile, so keywords whose words all start
+  // with a letter or digit are matched word by word from the indexed starts
+  if (
+    starts &&
+    words.length > 0 &&
+    words.every((word) => /^[\p{L}\p{M}\p{N}][^'’]*$/u.test(word)) &&
+    !UNSPACED_SCRIPT.test(keyword[0]) &&
+    !endsUnspaced(keyword)
+  ) {
+    const patterns = words.map((word) => new RegExp(wordPattern(word), "iuy"));
+    const first = /^[\p{L}\p{M}\p{N}]+/u.exec(words[0])[0];
+    matches = [];
+    let end = 0;
+    (starts.get(foldWord(first)) || []).forEach((offset) => {
+      if (offset < end) return;
+      const match = matchWords(text, offset, patterns);
+      if (match !== null) {
+        matches.push({ 0: match, index: offset });
+        end = offset + match.length;
+      }
+    });
+  } else {
+    matches = text.matchAll(keywordPattern(keyword));
+  }
+
+  return Array.from(matches, (match) => {
+    const surface = match[0].replace(/['’]s$/, "");
+    return {
+      start: match.index,
+      end: match.index + surface.length,
+      sentenceIndex: sentenceIndexAt(ranges, match.index),
+    };
+  });
+}
+
+/**
+ * Groups the occurrences of every word of a text by normalized form, so the
+ * variants of many words can be looked up with a single pass over the text
+ * @param {string} text - Text to index
+ * @param {function(string): string} normalize - Word normalizer
+ * @param {Array<{start: number, end: number}>} [ranges] - Sentence ranges of the text, from sentenceRanges
+ * @returns {Map<string, Array<{start: number, end: number, sentenceIndex: number}>>} Occurrences by normalized form
+ */
+function indexWordVariants(text, normalize, ranges = sentenceRanges(text)) {
+  const index = new Map();
+  for (const match of text.matchAll(
+    /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/gu,
+  )) {
+    const key = normalize(match[0]);
+    const surface = match[0].replace(/['’]s$/, "");
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({
+      start: match.index,
+      end: match.index + surface.length,
+      sentenceIndex: sentenceIndexAt(ranges, match.index),
+    });
+  }
+  return index;
+}
+
+/**
+ * Finds every word of a text whose normalized form matches, so variants
+ * grouped by a stemmer or lemmatizer ("batteries" for "battery") are found
+ * @param {string} text - Text to search
+ * @param {string} word - Word to find
+ * @param {function(string): string} normalize - Word normalizer
+ * @param {Map<string, Array<Object>>} [index] - Index of the text, from indexWordVariants, to avoid scanning it again
+ * @returns {Array<{start: number, end: number, sentenceIndex: number}>} Occurrences, end exclusive and without a trailing possessive
+ */
+function findWordVariants(
+  text,
+  word,
+  normalize,
+  index = indexWordVariants(text, normalize),
+) {
+  return (index.get(normalize(word)) || []).map((occurrence) => ({
+    ...occurrence,
+  }));
+}
+
+module.exports = {
+  SENTENCE_BOUNDARY,
+  keywordPattern,
+  sentenceRanges,
+  indexWordStarts,
+  findOccurrences,
+  indexWordVariants,
+  findWordVariants,
+};
@@ -0,0 +1,103 @@
+/**
+ * Characters replaced by escapeHtml
+ * @type {Object<string, string>}
+ */
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escapes text for use in HTML content or attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Markup wrapped around a keyword occurrence, by format. Each takes the
+ * occurrence's text, already escaped for the format, and the keyword result.
+ * @type {Object<string, function(string, {keyword: string, score: number}): string>}
+ */
+const MARKUP = {
+  html: (text, { keyword, score }) =>
+    `<mark data-keyword="${escapeHtml(keyword)}" data-score="${escapeHtml(score)}">${text}</mark>`,
+  markdown: (text) => `**${text}**`,
+};
+
+/**
+ * Picks the occurrences to mark: longer matches win over the shorter ones
+ * they overlap, then higher scores, then earlier matches
+ * @param {Array<{keyword: string, score: number, occurrences: Array<{start: number, end: number}>}>} results - Keyword results with occurrences
+ * @returns {Array<{start: number, end: number, result: Object}>} Non-overlapping spans in text order
+ */
+function selectSpans(results) {
+  const spans = results
+    .flatMap((result) =>
+      result.occurrences.map(({ start, end }) => ({ start, end, result })),
+    )
+    .filter(({ start, end }) => end > start)
+    .sort(
+      (a, b) =>
+        b.end - b.start - (a.end - a.start) ||
+        b.result.score - a.result.score ||
+        a.start - b.start,
+    );
+
+  const selected = [];
+  spans.forEach((span) => {
+    if (
+      !selected.some(
+        (other) => span.start < other.end && other.start < span.end,
+      )
+    ) {
+      selected.push(span);
+    }
+  });
+  return selected.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Marks keyword occurrences up in the text they were extracted from
+ * @param {string} content - Text the occurrence offsets refer to
+ * @param {Array<{keyword: string, score: number, occurrences: Array<{start: number, end: number}>}>} results - Keyword results with occurrences, as returned by extractKeywords
+ * @param {Object} [options] - Rendering options
+ * @param {string|Function} [options.format="html"] - "html" wraps occurrences in <mark data-keyword data-score>, "markdown" in bold, or a function (text, result) => string returning the markup for an occurrence
+ * @param {boolean} [options.escape] - Escape the text for HTML, on by default for the "html" format only
+ * @returns {string} The content with occurrences marked up
+ * @throws {Error} When the format is unknown or a result has no occurrences
+ */
+function renderHighlights(content, results, options = {}) {
+  const { format = "html" } = options;
+  const markup = typeof format === "function" ? format : MARKUP[format];
+  if (!markup) {
+    throw new Error(`Unknown highlight format: ${format}`);
+  }
+  const { escape = format === "html" } = options;
+  const text = escape ? escapeHtml : (value) => value;
+
+  results.forEach(({ keyword, occurrences }) => {
+    if (!Array.isArray(occurrences)) {
+      throw new Error(`Keyword has no occurrences: ${keyword}`);
+    }
+  });
+
+  let output = "";
+  let position = 0;
+  selectSpans(results).forEach(({ start, end, result }) => {
+    output += text(content.slice(position, start));
+    output += markup(text(content.slice(start, end)), result);
+    position = end;
+  });
+  return output + text(content.slice(position));
+}
+
+module.exports = {
+  escapeHtml,
+  renderHighlights,
+};
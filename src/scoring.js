@@ -0,0 +1,63 @@
+const { roundScore } = require("./algorithms/utils");
+
+/**
+ * Default weight of each signal in a keyword's score
+ * @type {{properNoun: number, phrase: number, frequency: number, title: number, position: number, structure: number}}
+ */
+const DEFAULT_WEIGHTS = {
+  properNoun: 1,
+  phrase: 1,
+  frequency: 1,
+  title: 1,
+  position: 0.5,
+  structure: 1,
+};
+
+/**
+ * Combines the signals collected for each keyword into a single score.
+ * Frequency is normalized against the most frequent keyword and position
+ * rewards keywords that first appear early in the content. Structure is the
+ * weight of the strongest HTML element (heading, bold text, alt text) the
+ * keyword appears in.
+ * @param {Array<{keyword: string, properNoun: boolean, phrase: boolean, frequency: number, title: boolean, position: number|null, structure?: number}>} candidates - Keywords with their signals
+ * @param {Object} [options] - Scoring options
+ * @param {Object} [options.weights] - Weights overriding DEFAULT_WEIGHTS
+ * @param {number} [options.limit] - Maximum number of keywords to return
+ * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+ */
+function rankKeywords(candidates, options = {}) {
+  const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+  const { limit } = options;
+
+  if (limit !== undefined && (typeof limit !== "number" || limit < 1)) {
+    throw new Error("limit must be a positive number");
+  }
+
+  const maxFrequency = Math.max(1, ...candidates.map((c) => c.frequency));
+
+  const ranked = candidates
+    .map((candidate) => {
+      const score =
+        weights.properNoun * (candidate.properNoun ? 1 : 0) +
+        weights.phrase * (candidate.phrase ? 1 : 0) +
+        weights.frequency * (candidate.frequency / maxFrequency) +
+        weights.title * (candidate.title ? 1 : 0) +
+        weights.position *
+          (candidate.position === null ? 0 : 1 - candidate.position) +
+        weights.structure * (candidate.structure || 0);
+
+      return {
+        keyword: candidate.keyword,
+        score: roundScore(score),
+      };
+    })
+    // Stable sort keeps the previous (longest first) order for ties
+    .sort((a, b) => b.score - a.score);
+
+  return limit === undefined ? ranked : ranked.slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  rankKeywords,
+};
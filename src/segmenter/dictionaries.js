@@ -0,0 +1,221 @@
+// Small bundled word lists for dictionary segmentation when Intl.Segmenter
+// is unavailable. The language's stop words are added to each list.
+
+const zh = [
+  "上海",
+  "世界",
+  "中国",
+  "互联网",
+  "产品",
+  "人工智能",
+  "今天",
+  "价格",
+  "企业",
+  "供应链",
+  "信息",
+  "全球",
+  "公司",
+  "利率",
+  "北京",
+  "半导体",
+  "发展",
+  "发布",
+  "台湾",
+  "国家",
+  "国际",
+  "地区",
+  "城市",
+  "增长",
+  "学习",
+  "安全",
+  "宣布",
+  "工作",
+  "市场",
+  "平台",
+  "影响",
+  "手机",
+  "技术",
+  "投资",
+  "报告",
+  "推出",
+  "政府",
+  "数据",
+  "新闻",
+  "日本",
+  "时间",
+  "明天",
+  "昨天",
+  "服务",
+  "机器",
+  "模型",
+  "欧洲",
+  "汽车",
+  "消费者",
+  "用户",
+  "电动",
+  "电池",
+  "研究",
+  "社会",
+  "科学",
+  "科技",
+  "管理",
+  "系统",
+  "经济",
+  "网络",
+  "美国",
+  "股票",
+  "能源",
+  "芯片",
+  "行业",
+  "计划",
+  "软件",
+  "通胀",
+  "银行",
+  "销售",
+  "问题",
+  "需求",
+  "项目",
+  "香港",
+];
+
+const ja = [
+  "アメリカ",
+  "インターネット",
+  "エネルギー",
+  "サービス",
+  "システム",
+  "スマートフォン",
+  "ソフトウェア",
+  "データ",
+  "ニュース",
+  "ネットワーク",
+  "プラットフォーム",
+  "モデル",
+  "ユーザー",
+  "世界",
+  "世界的",
+  "中国",
+  "人工知能",
+  "今日",
+  "仕事",
+  "企業",
+  "会社",
+  "価格",
+  "半導体",
+  "問題",
+  "国",
+  "国際",
+  "地域",
+  "報告",
+  "大阪",
+  "学習",
+  "安全",
+  "市場",
+  "影響",
+  "情報",
+  "成長",
+  "技術",
+  "投資",
+  "政府",
+  "日本",
+  "明日",
+  "昨日",
+  "時間",
+  "東京",
+  "株価",
+  "業界",
+  "機械",
+  "欧州",
+  "消費者",
+  "発売",
+  "発表",
+  "研究",
+  "社会",
+  "科学",
+  "管理",
+  "米国",
+  "経済",
+  "自動車",
+  "製品",
+  "計画",
+  "販売",
+  "都市",
+  "金利",
+  "銀行",
+  "開発",
+  "電気",
+  "電池",
+  "需要",
+];
+
+const th = [
+  "กรุงเทพ",
+  "การจัดการ",
+  "ขาย",
+  "ข่าว",
+  "ข้อมูล",
+  "ความต้องการ",
+  "ความปลอดภัย",
+  "งาน",
+  "จีน",
+  "ชิป",
+  "ซอฟต์แวร์",
+  "ญี่ปุ่น",
+  "ดอกเบี้ย",
+  "ตลาด",
+  "ธนาคาร",
+  "ธุรกิจ",
+  "บริการ",
+  "บริษัท",
+  "ประกาศ",
+  "ประเทศ",
+  "ปัญญาประดิษฐ์",
+  "ปัญหา",
+  "ผลกระทบ",
+  "ผลิตภัณฑ์",
+  "ผู้บริโภค",
+  "ผู้ใช้",
+  "พรุ่งนี้",
+  "พลังงาน",
+  "พัฒนา",
+  "ภูมิภาค",
+  "มือถือ",
+  "รถยนต์",
+  "ระบบ",
+  "รัฐบาล",
+  "ราคา",
+  "รายงาน",
+  "ลงทุน",
+  "วันนี้",
+  "วิจัย",
+  "วิทยาศาสตร์",
+  "สังคม",
+  "หุ้น",
+  "อินเทอร์เน็ต",
+  "อุตสาหกรรม",
+  "อเมริกา",
+  "เครือข่าย",
+  "เครื่อง",
+  "เติบโต",
+  "เทคโนโลยี",
+  "เปิดตัว",
+  "เมือง",
+  "เมื่อวาน",
+  "เรียนรู้",
+  "เวลา",
+  "เศรษฐกิจ",
+  "แบตเตอรี่",
+  "แผน",
+  "แพลตฟอร์ม",
+  "โทรศัพท์",
+  "โมเดล",
+  "โลก",
+  "ไทย",
+  "ไฟฟ้า",
+];
+
+module.exports = {
+  zh,
+  ja,
+  th,
+};
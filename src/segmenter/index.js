@@ -0,0 +1,214 @@
+const dictionaries = require("./dictionaries");
+const { getStopWords, normalizeLanguage } = require("../languages");
+
+/**
+ * Characters of scripts written without spaces between words, including the
+ * katakana long vowel mark ("タワー"), which belongs to no script
+ * @type {RegExp}
+ */
+const UNSPACED_SCRIPT =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}ー]/u;
+
+/**
+ * An unspaced character at the end of a word, with the combining marks that
+ * follow it (a decomposed dakuten, a variation selector)
+ * @type {RegExp}
+ */
+const UNSPACED_END =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}ー]\p{M}*$/u;
+
+/**
+ * Languages written without spaces between words
+ * @type {Set<string>}
+ */
+const UNSPACED_LANGUAGES = new Set(["zh", "ja", "th"]);
+
+/**
+ * Checks whether text needs word segmentation rather than whitespace
+ * splitting
+ * @param {string} text - Text to check
+ * @param {string} [language] - Language of the text
+ * @returns {boolean} True for Chinese, Japanese or Thai text
+ */
+function needsSegmentation(text, language) {
+  return (
+    (language !== undefined &&
+      UNSPACED_LANGUAGES.has(normalizeLanguage(language))) ||
+    UNSPACED_SCRIPT.test(text)
+  );
+}
+
+/**
+ * Checks whether a word ends in a script written without spaces. Combining
+ * marks count as part of the character they follow, so a mark ends an
+ * unspaced word only after an unspaced character.
+ * @param {string} word - Word to check
+ * @returns {boolean} True when the word ends in Chinese, Japanese or Thai
+ */
+function endsUnspaced(word) {
+  return UNSPACED_END.test(word);
+}
+
+/**
+ * Splits text into words and punctuation with Intl.Segmenter
+ * @param {string} text - Text to segment
+ * @param {string} language - Language of the text
+ * @returns {string[]} Words and punctuation, without whitespace
+ */
+function segmentWithIntl(text, language) {
+  const segmenter = new Intl.Segmenter(language, { granularity: "word" });
+  return Array.from(segmenter.segment(text), ({ segment }) => segment).filter(
+    (segment) => segment.trim(),
+  );
+}
+
+const lexicons = new Map();
+
+/**
+ * Gets the segmentation dictionary for a language: its bundled word list
+ * plus its stop words
+ * @param {string} language - Language code
+ * @returns {{words: Set<string>, longest: number}} Dictionary words and the longest word length
+ */
+function getLexicon(language) {
+  const code = normalizeLanguage(language);
+  if (!lexicons.has(code)) {
+    let stopWords = [];
+    try {
+      stopWords = Array.from(getStopWords(code));
+    } catch (error) {
+      // Languages without a stop word list still segment with their words
+    }
+    const words = new Set([...(dictionaries[code] || []), ...stopWords]);
+    const longest = Math.max(1, ...Array.from(words, (word) => word.length));
+    lexicons.set(code, { words, longest });
+  }
+  return lexicons.get(code);
+}
+
+/**
+ * Lexicons merged with extra words, by extra word list and language
+ * @type {WeakMap<Iterable<string>, Map<string, {words: Set<string>, longest: number}>>}
+ */
+const mergedLexicons = new WeakMap();
+
+/**
+ * Gets the segmentation dictionary for a language with extra words added.
+ * The merged dictionary is built once per word list, not once per sentence.
+ * @param {string} language - Language code
+ * @param {Iterable<string>} [extraWords] - Words to add to the dictionary
+ * @returns {{words: Set<string>, longest: number}} Dictionary words and the longest word length
+ */
+function getMergedLexicon(language, extraWords) {
+  const lexicon = getLexicon(language);
+  if (!extraWords) return lexicon;
+
+  if (!mergedLexicons.has(extraWords)) {
+    mergedLexicons.set(extraWords, new Map());
+  }
+  const byLanguage = mergedLexicons.get(extraWords);
+  const code = normalizeLanguage(language);
+  if (!byLanguage.has(code)) {
+    const words = new Set(lexicon.words);
+    let { longest } = lexicon;
+    for (const word of extraWords) {
+      words.add(word);
+      longest = Math.max(longest, word.length);
+    }
+    byLanguage.set(code, { words, longest });
+  }
+  return byLanguage.get(code);
+}
+
+/**
+ * Splits text into words with forward maximum matching against a
+ * dictionary. Runs of characters not in the dictionary are kept together as
+ * one word; text in spaced scripts is split on whitespace and punctuation.
+ * @param {string} text - Text to segment
+ * @param {string} language - Language of the text
+ * @param {Iterable<string>} [extraWords] - Words to add to the dictionary
+ * @returns {string[]} Words and punctuation, without whitespace
+ */
+function segmentWithDictionary(text, language, extraWords) {
+  const { words, longest } = getMergedLexicon(language, extraWords);
+
+  const tokens = [];
+  let unknown = "";
+  const flush = () => {
+    if (unknown) tokens.push(unknown);
+    unknown = "";
+  };
+
+  // Spaced runs, punctuation and unspaced runs are handled separately
+  const pieces = text.match(
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{M}ー]+|[\p{P}\p{S}]|[^\s\p{P}\p{S}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]+/gu,
+  );
+  (pieces || []).forEach((piece) => {
+    if (!UNSPACED_SCRIPT.test(piece)) {
+      tokens.push(piece);
+      return;
+    }
+
+    let i = 0;
+    while (i < piece.length) {
+      let match = null;
+      for (
+        let length = Math.min(longest, piece.length - i);
+        length > 1;
+        length--
+      ) {
+        const candidate = piece.slice(i, i + length);
+        if (words.has(candidate)) {
+          match = candidate;
+          break;
+        }
+      }
+      if (!match && words.has(piece[i])) match = piece[i];
+
+      if (match) {
+        flush();
+        tokens.push(match);
+        i += match.length;
+      } else {
+        unknown += piece[i];
+        i++;
+      }
+    }
+    flush();
+  });
+
+  return tokens;
+}
+
+/**
+ * Splits text written without spaces into words, using Intl.Segmenter where
+ * available and falling back to dictionary matching
+ * @param {string} text - Text to segment
+ * @param {string} language - Language of the text
+ * @param {Object} [options] - Segmentation options
+ * @param {string|Function} [options.segmenter] - "intl", "dictionary", or a custom function (text, language) => string[]
+ * @param {Iterable<string>} [options.dictionary] - Extra words for dictionary segmentation
+ * @returns {string[]} Words and punctuation, without whitespace
+ * @throws {Error} When the segmenter is unknown
+ */
+function segmentWords(text, language, options = {}) {
+  const { segmenter, dictionary } = options;
+
+  if (typeof segmenter === "function") {
+    return segmenter(text, language);
+  }
+  if (segmenter !== undefined && !["intl", "dictionary"].includes(segmenter)) {
+    throw new Error(`Unknown segmenter: ${segmenter}`);
+  }
+  if (segmenter !== "dictionary" && typeof Intl.Segmenter === "function") {
+    return segmentWithIntl(text, language);
+  }
+  return segmentWithDictionary(text, language, dictionary);
+}
+
+module.exports = {
+  UNSPACED_SCRIPT,
+  endsUnspaced,
+  needsSegmentation,
+  segmentWords,
+};
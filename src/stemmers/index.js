@@ -0,0 +1,75 @@
+const porterStemmer = require("./porter");
+const { englishLemmas, createLemmatizer } = require("./lemmatizer");
+const { normalizeLanguage } = require("../languages");
+
+/**
+ * Registry of stemmers keyed by language code
+ * @type {Map<string, function(string): string>}
+ */
+const registry = new Map([["en", porterStemmer]]);
+
+/**
+ * Gets the stemmer for a language
+ * @param {string} [language="en"] - Language code
+ * @returns {function(string): string} Stemmer for lowercase words
+ * @throws {Error} When the language has no registered stemmer
+ */
+function getStemmer(language = "en") {
+  const stemmer = registry.get(normalizeLanguage(language));
+  if (!stemmer) {
+    throw new Error(`No stemmer registered for language: ${language}`);
+  }
+  return stemmer;
+}
+
+/**
+ * Registers (or replaces) the stemmer for a language
+ * @param {string} language - Language code
+ * @param {function(string): string} stemmer - Stemmer for lowercase words
+ * @throws {Error} When stemmer is not a function
+ */
+function registerStemmer(language, stemmer) {
+  if (typeof stemmer !== "function") {
+    throw new Error("Stemmer must be a function");
+  }
+  registry.set(normalizeLanguage(language), stemmer);
+}
+
+/**
+ * Builds the word normalizer for an extractor from its options
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.language="en"] - Language used when stemmer is true
+ * @param {boolean|string|function(string): string} [options.stemmer] - true for the language's stemmer, a language code, or a custom stemmer
+ * @param {boolean|Object<string, string>|Map<string, string>|function(string): string} [options.lemmatizer] - true for the bundled English dictionary, a custom dictionary, or a custom lemmatizer
+ * @returns {function(string): string|null} Normalizer for lowercase words, or null when neither option is set
+ */
+function resolveNormalizer(options = {}) {
+  const { language = "en", stemmer, lemmatizer } = options;
+  if (!stemmer && !lemmatizer) return null;
+
+  let stem = (word) => word;
+  if (typeof stemmer === "function") {
+    stem = stemmer;
+  } else if (stemmer) {
+    stem = getStemmer(typeof stemmer === "string" ? stemmer : language);
+  }
+
+  let lemmatize = (word) => word;
+  if (typeof lemmatizer === "function") {
+    lemmatize = lemmatizer;
+  } else if (lemmatizer) {
+    lemmatize = createLemmatizer(
+      lemmatizer === true ? englishLemmas : lemmatizer,
+    );
+  }
+
+  return (word) => stem(lemmatize(word));
+}
+
+module.exports = {
+  porterStemmer,
+  createLemmatizer,
+  getStemmer,
+  registerStemmer,
+  resolveNormalizer,
+};
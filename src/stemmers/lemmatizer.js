@@ -0,0 +1,99 @@
+/**
+ * Irregular English forms mapped to their dictionary form
+ * @type {Object<string, string>}
+ */
+const englishLemmas = {
+  analyses: "analysis",
+  became: "become",
+  began: "begin",
+  best: "good",
+  better: "good",
+  bought: "buy",
+  brought: "bring",
+  built: "build",
+  children: "child",
+  chose: "choose",
+  crises: "crisis",
+  criteria: "criterion",
+  did: "do",
+  done: "do",
+  feet: "foot",
+  fell: "fall",
+  found: "find",
+  gave: "give",
+  geese: "goose",
+  gone: "go",
+  grew: "grow",
+  had: "have",
+  has: "have",
+  held: "hold",
+  indices: "index",
+  is: "be",
+  knew: "know",
+  led: "lead",
+  made: "make",
+  matrices: "matrix",
+  men: "man",
+  mice: "mouse",
+  paid: "pay",
+  people: "person",
+  phenomena: "phenomenon",
+  ran: "run",
+  rose: "rise",
+  said: "say",
+  sold: "sell",
+  spoke: "speak",
+  taught: "teach",
+  teeth: "tooth",
+  thought: "think",
+  told: "tell",
+  took: "take",
+  was: "be",
+  went: "go",
+  were: "be",
+  women: "woman",
+  worse: "bad",
+  worst: "bad",
+  wrote: "write",
+};
+
+/**
+ * Strips regular English plural endings ("batteries" -> "battery")
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form
+ */
+function singularize(word) {
+  if (word.length < 4) return word;
+  if (/[^aeiou]ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (/[^su]s$/.test(word) && !/(ss|is|us)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Creates a dictionary lemmatizer. Words found in the dictionary map to their
+ * entry; other words fall back to stripping regular plural endings.
+ * @param {Object<string, string>|Map<string, string>} [dictionary] - Surface forms mapped to lemmas, defaults to bundled English irregular forms
+ * @param {Object} [options] - Lemmatizer options
+ * @param {boolean} [options.singularize=true] - Strip regular English plurals for words missing from the dictionary
+ * @returns {function(string): string} Lemmatizer for lowercase words
+ */
+function createLemmatizer(dictionary = englishLemmas, options = {}) {
+  const lemmas =
+    dictionary instanceof Map
+      ? dictionary
+      : new Map(Object.entries(dictionary));
+  const { singularize: stripPlurals = true } = options;
+
+  return (word) => {
+    if (lemmas.has(word)) return lemmas.get(word);
+    return stripPlurals ? singularize(word) : word;
+  };
+}
+
+module.exports = {
+  englishLemmas,
+  createLemmatizer,
+};
@@ -0,0 +1,145 @@
+// Porter stemming algorithm for English
+// https://tartarus.org/martin/PorterStemmer/def.txt
+
+const consonant = "[^aeiou]";
+const vowel = "[aeiouy]";
+const consonantSequence = `${consonant}[^aeiouy]*`;
+const vowelSequence = `${vowel}[aeiou]*`;
+
+// m is the number of vowel-consonant sequences in a stem
+const measureGreaterThan0 = new RegExp(
+  `^(${consonantSequence})?${vowelSequence}${consonantSequence}`,
+);
+const measureEquals1 = new RegExp(
+  `^(${consonantSequence})?${vowelSequence}${consonantSequence}(${vowelSequence})?$`,
+);
+const measureGreaterThan1 = new RegExp(
+  `^(${consonantSequence})?${vowelSequence}${consonantSequence}${vowelSequence}${consonantSequence}`,
+);
+const containsVowel = new RegExp(`^(${consonantSequence})?${vowel}`);
+const endsConsonantVowelConsonant = new RegExp(
+  `^${consonantSequence}${vowel}[^aeiouwxy]$`,
+);
+
+const step2Suffixes = {
+  ational: "ate",
+  tional: "tion",
+  enci: "ence",
+  anci: "ance",
+  izer: "ize",
+  bli: "ble",
+  alli: "al",
+  entli: "ent",
+  eli: "e",
+  ousli: "ous",
+  ization: "ize",
+  ation: "ate",
+  ator: "ate",
+  alism: "al",
+  iveness: "ive",
+  fulness: "ful",
+  ousness: "ous",
+  aliti: "al",
+  iviti: "ive",
+  biliti: "ble",
+  logi: "log",
+};
+
+const step3Suffixes = {
+  icate: "ic",
+  ative: "",
+  alize: "al",
+  iciti: "ic",
+  ical: "ic",
+  ful: "",
+  ness: "",
+};
+
+/**
+ * Reduces an English word to its Porter stem ("batteries" -> "batteri")
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem of the word, or the word itself when it is not plain ASCII letters
+ */
+function porterStemmer(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let match;
+  // An initial y acts as a consonant
+  const initialY = word[0] === "y";
+  if (initialY) word = `Y${word.slice(1)}`;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(word))) {
+    word = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(word))) {
+    word = match[1] + match[2];
+  }
+
+  // Step 1b: past tenses and gerunds
+  if ((match = /^(.+?)eed$/.exec(word))) {
+    if (measureGreaterThan0.test(match[1])) word = word.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(word))) {
+    const stem = match[1];
+    if (containsVowel.test(stem)) {
+      word = stem;
+      if (/(at|bl|iz)$/.test(word)) {
+        word += "e";
+      } else if (/([^aeiouylsz])\1$/.test(word)) {
+        word = word.slice(0, -1);
+      } else if (endsConsonantVowelConsonant.test(word)) {
+        word += "e";
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if ((match = /^(.+?)y$/.exec(word)) && containsVowel.test(match[1])) {
+    word = `${match[1]}i`;
+  }
+
+  // Step 2: double suffixes
+  match =
+    /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(
+      word,
+    );
+  if (match && measureGreaterThan0.test(match[1])) {
+    word = match[1] + step2Suffixes[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(word);
+  if (match && measureGreaterThan0.test(match[1])) {
+    word = match[1] + step3Suffixes[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if (
+    (match =
+      /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(
+        word,
+      ))
+  ) {
+    if (measureGreaterThan1.test(match[1])) word = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(word))) {
+    const stem = match[1] + match[2];
+    if (measureGreaterThan1.test(stem)) word = stem;
+  }
+
+  // Step 5: tidy up a final e and double l
+  if ((match = /^(.+?)e$/.exec(word))) {
+    const stem = match[1];
+    if (
+      measureGreaterThan1.test(stem) ||
+      (measureEquals1.test(stem) && !endsConsonantVowelConsonant.test(stem))
+    ) {
+      word = stem;
+    }
+  }
+  if (/ll$/.test(word) && measureGreaterThan1.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  return initialY ? `y${word.slice(1)}` : word;
+}
+
+module.exports = porterStemmer;
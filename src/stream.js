@@ -0,0 +1,233 @@
+const { Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const KeywordExtractor = require("./keywordExtractor");
+const { rankKeywords } = require("./scoring");
+const { SENTENCE_BOUNDARY, findOccurrences } = require("./offsets");
+
+/**
+ * Finds the end of the last complete sentence in a text
+ * @param {string} text - Buffered text
+ * @returns {number} Offset just after the last sentence boundary, or 0 when there is none
+ */
+function lastSentenceEnd(text) {
+  let end = 0;
+  for (const match of text.matchAll(SENTENCE_BOUNDARY)) {
+    end = match.index + match[0].length;
+  }
+  return end;
+}
+
+/**
+ * Extracts keywords from text written to it in chunks, so inputs too large
+ * to hold in memory can be processed. Complete sentences are analyzed as
+ * they arrive while running word and proper noun counts are kept; words and
+ * sentences split across chunks are held back until they are complete. The
+ * ranked keywords are pushed (in object mode) and emitted as a "keywords"
+ * event when the input ends.
+ *
+ * Steps of extractKeywords that need the whole text are skipped: collocation
+ * detection, subset merging, acronym linking and aliases. Truecasing only
+ * sees the sentences analyzed together.
+ * @class KeywordStream
+ * @extends Transform
+ */
+class KeywordStream extends Transform {
+  /**
+   * Creates a keyword stream
+   * @param {Object} [options] - KeywordExtractor options, plus:
+   * @param {string} [options.title] - Title used for context
+   * @param {number} [options.topWords=7] - Number of most frequent words ranked alongside the proper nouns
+   * @param {number} [options.maxSentenceLength=65536] - Longest text held back waiting for a sentence boundary; longer runs are cut at whitespace
+   * @param {Object} [options.weights] - Signal weights (properNoun, frequency, title, position)
+   * @param {number} [options.limit] - Maximum number of keywords to return
+   * @param {string} [options.encoding="utf8"] - Encoding of Buffer chunks
+   */
+  constructor(options = {}) {
+    super({ decodeStrings: false, readableObjectMode: true });
+    const {
+      title = "",
+      topWords = 7,
+      maxSentenceLength = 65536,
+      encoding = "utf8",
+      ...extractorOptions
+    } = options;
+    this.options = options;
+    this.extractorOptions = extractorOptions;
+    this.title = title;
+    this.topWords = topWords;
+    this.maxSentenceLength = maxSentenceLength;
+    this.decoder = new StringDecoder(encoding);
+    this.pending = "";
+    this.length = 0;
+    this.frequencies = new Map();
+    this.properNouns = new Map();
+    this.surfaces = new Map();
+    this.firstSeen = new Map();
+    // Validates the options before any input arrives
+    new KeywordExtractor("", "", extractorOptions);
+  }
+
+  /**
+   * Adds a chunk of text, analyzing every sentence it completes
+   * @param {string|Buffer} chunk - Next chunk of the input
+   */
+  addChunk(chunk) {
+    this.pending +=
+      typeof chunk === "string" ? chunk : this.decoder.write(chunk);
+
+    let end = lastSentenceEnd(this.pending);
+    if (!end && this.pending.length > this.maxSentenceLength) {
+      // No boundary in sight: cut at whitespace so no word is split
+      const space = this.pending.search(/\s\S*$/);
+      end = space > 0 ? space + 1 : this.pending.length;
+    }
+    if (end) {
+      this.analyze(this.pending.slice(0, end));
+      this.pending = this.pending.slice(end);
+    }
+  }
+
+  /**
+   * Updates the running counts with complete sentences
+   * @private
+   * @param {string} text - Text made of complete sentences
+   */
+  analyze(text) {
+    const extractor = new KeywordExtractor(text, "", this.extractorOptions);
+    const offset = this.length;
+    this.length += text.length;
+
+    const added = [];
+    extractor
+      .cleanupKeywords(extractor.removeStopWords(extractor.tokenize()))
+      .filter((word) => !/^\d+$/.test(word))
+      .forEach((word) => {
+        const key = word.toLowerCase();
+        this.frequencies.set(key, (this.frequencies.get(key) || 0) + 1);
+        if (!this.surfaces.has(key)) {
+          this.surfaces.set(key, word);
+          added.push(key);
+        }
+      });
+
+    extractor.findProperNouns().forEach((noun) => {
+      const { occurrences } = extractor.findOccurrences(noun);
+      this.properNouns.set(
+        noun,
+        (this.properNouns.get(noun) || 0) + occurrences.length,
+      );
+      if (occurrences.length && !this.firstSeen.has(noun.toLowerCase())) {
+        this.firstSeen.set(noun.toLowerCase(), offset + occurrences[0].start);
+      }
+    });
+
+    added.forEach((key) => {
+      if (this.firstSeen.has(key)) return;
+      const [first] = findOccurrences(text, this.surfaces.get(key));
+      if (first) this.firstSeen.set(key, offset + first.start);
+    });
+  }
+
+  /**
+   * Ranks the keywords found so far. Pending text that does not end a
+   * sentence yet is not included until the stream ends.
+   * @returns {Array<{keyword: string, score: number}>} Keywords sorted by descending score
+   */
+  getKeywords() {
+    const titleExtractor = new KeywordExtractor(
+      "",
+      this.title,
+      this.extractorOptions,
+    );
+    const titleContext = new Set(
+      (titleExtractor.findContextFromTitle() || []).map((word) =>
+        word.toLowerCase(),
+      ),
+    );
+
+    // Case variants are merged, preferring the proper noun spelling
+    const keywords = new Map();
+    Array.from(this.frequencies.entries())
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, this.topWords)
+      .forEach(([key]) => keywords.set(key, this.surfaces.get(key)));
+    titleContext.forEach((key) => {
+      if (!keywords.has(key)) keywords.set(key, this.surfaces.get(key) || key);
+    });
+    this.properNouns.forEach((count, noun) =>
+      keywords.set(noun.toLowerCase(), noun),
+    );
+
+    const candidates = Array.from(keywords, ([key, keyword]) => {
+      const position = this.firstSeen.has(key)
+        ? this.firstSeen.get(key) / Math.max(1, this.length)
+        : null;
+      return {
+        keyword,
+        properNoun: this.properNouns.has(keyword),
+        phrase: false,
+        frequency: Math.max(
+          this.frequencies.get(key) || 0,
+          this.properNouns.get(keyword) || 0,
+        ),
+        title:
+          titleContext.has(key) ||
+          findOccurrences(this.title, keyword).length > 0,
+        position,
+      };
+    });
+    return rankKeywords(candidates, this.options);
+  }
+
+  /**
+   * Analyzes the text held back at the end of the input
+   * @private
+   */
+  finish() {
+    const rest = this.pending + this.decoder.end();
+    this.pending = "";
+    if (rest.trim()) this.analyze(rest);
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.addChunk(chunk);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.finish();
+      const keywords = this.getKeywords();
+      keywords.forEach((keyword) => this.push(keyword));
+      this.emit("keywords", keywords);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Extracts keywords from a readable stream or any (async) iterable of text
+ * chunks, such as a file stream or lines from a log
+ * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source - Chunks of text
+ * @param {Object} [options] - KeywordStream options
+ * @returns {Promise<Array<{keyword: string, score: number}>>} Keywords sorted by descending score
+ */
+async function extractFromStream(source, options = {}) {
+  const stream = new KeywordStream(options);
+  for await (const chunk of source) {
+    stream.addChunk(chunk);
+  }
+  stream.finish();
+  return stream.getKeywords();
+}
+
+module.exports = {
+  KeywordStream,
+  extractFromStream,
+};
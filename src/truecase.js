@@ -0,0 +1,102 @@
+/**
+ * Words written capitalized wherever they appear, by language, lowercase.
+ * The entity gazetteers extend these lists.
+ * @type {Object<string, string[]>}
+ */
+const CASE_LEXICONS = {
+  en: [
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+    "sunday",
+    "january",
+    "february",
+    "april",
+    "june",
+    "july",
+    "august",
+    "september",
+    "october",
+    "november",
+    "december",
+    "christmas",
+    "easter",
+    "ramadan",
+    "american",
+    "british",
+    "chinese",
+    "english",
+    "european",
+    "french",
+    "german",
+    "indian",
+    "japanese",
+    "spanish",
+    "android",
+    "ios",
+    "linux",
+    "windows",
+    "wikipedia",
+    "youtube",
+  ],
+};
+
+/**
+ * Case-folds a word and strips the punctuation and possessive around it
+ * @param {string} word - Word as written
+ * @param {function(string): string} foldCase - Locale-aware lowercasing
+ * @returns {string} Lookup key, empty when the word has no letters
+ */
+function casingKey(word, foldCase) {
+  const bare = word
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")
+    .replace(/['’]s$/u, "");
+  return /\p{L}/u.test(bare) ? foldCase(bare) : "";
+}
+
+/**
+ * Counts how words are cased where their capitalization carries meaning:
+ * anywhere but at the start of a sentence
+ * @param {string[][]} sentences - Words of each sentence
+ * @param {function(string): string} foldCase - Locale-aware lowercasing
+ * @returns {Map<string, {capitalized: number, lowercase: number}>} Casing counts by case-folded word
+ */
+function countCasing(sentences, foldCase) {
+  const counts = new Map();
+  sentences.forEach((words) => {
+    words.slice(1).forEach((word) => {
+      const key = casingKey(word, foldCase);
+      const letter = word.match(/\p{L}/u);
+      if (!key || !letter) return;
+
+      const count = counts.get(key) || { capitalized: 0, lowercase: 0 };
+      if (/\p{Lu}/u.test(letter[0])) {
+        count.capitalized++;
+      } else if (/\p{Ll}/u.test(letter[0])) {
+        count.lowercase++;
+      }
+      counts.set(key, count);
+    });
+  });
+  return counts;
+}
+
+/**
+ * Reads the dominant casing from casing counts
+ * @param {{capitalized: number, lowercase: number}} [count] - Casing counts of a word
+ * @returns {boolean|null} True when mostly capitalized, false when mostly lowercase, null when there is no majority
+ */
+function isMostlyCapitalized(count) {
+  if (!count || count.capitalized === count.lowercase) return null;
+  return count.capitalized > count.lowercase;
+}
+
+module.exports = {
+  CASE_LEXICONS,
+  casingKey,
+  countCasing,
+  isMostlyCapitalized,
+};